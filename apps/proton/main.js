@@ -1,19 +1,31 @@
-const { app, BrowserWindow, Menu, shell, ipcMain, nativeTheme } = require('electron');
+const { app, BrowserWindow, Menu, shell, ipcMain, nativeTheme, dialog, safeStorage } = require('electron');
 const path = require('path');
 const http = require('http');
 const express = require('express');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { Client } = require('ssh2');
 const os = require('os');
-const { createGeminiRoutes, createClaudeRoutes } = require('@juni/shared-server');
-
-let pty;
-try {
-  pty = require('node-pty');
-} catch (err) {
-  console.warn('[proton] node-pty not available:', err.message);
-}
+const {
+  createGeminiRoutes,
+  createClaudeRoutes,
+  createHostKeyStore,
+  createSshBackend,
+  createLocalBackend,
+  createDockerBackend,
+  createKubectlBackend,
+  createTelnetBackend,
+  createTcpBackend,
+  createBackendDispatcher,
+  createBackendRoutes,
+  attachSftpHandlers,
+  attachForwardHandlers,
+  createSshConfigRoutes,
+  DEFAULT_SSH_CONFIG_PATH,
+  createSftpRoutes,
+  createSessionRegistry,
+  attachSessionHandlers,
+} = require('@juni/shared-server');
+const { isSerialAvailable, createSerialBackend, createSerialRoutes } = require('./serialBackend');
 
 const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
 
@@ -38,6 +50,7 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 
 const DEFAULT_PROJECT = process.env.GCP_PROJECT_ID || '';
 const DEFAULT_LOCATION = process.env.GCP_LOCATION || 'us-central1';
+const MAX_PRIVATE_KEY_BYTES = 64 * 1024;
 
 /* ── Auth method detection ────────────────────────────────── */
 
@@ -102,162 +115,52 @@ function startServer() {
       getAnthropicKey: () => process.env.ANTHROPIC_API_KEY || '',
     }));
 
+    expressApp.use('/api/sftp', createSftpRoutes());
+    expressApp.use('/api/ssh', createSshConfigRoutes());
+    expressApp.use('/api/ssh', createBackendRoutes({
+      localShell: { enabled: true },
+      docker: { enabled: true },
+      kubectl: { enabled: true },
+      telnet: { enabled: true },
+      tcp: { enabled: true },
+      extra: isSerialAvailable() ? { serial: {} } : {},
+    }));
+    expressApp.use('/api/serial', createSerialRoutes());
+
     /* ── Socket.io (SSH + Local PTY) ───────────────────── */
 
+    const hostKeyStore = createHostKeyStore();
+    // The laptop's ssh-agent: used for authentication and, per connection, agent forwarding
+    const sshAgent = process.env.SSH_AUTH_SOCK || undefined;
+    console.log(`[ssh] agent: ${sshAgent || 'none (SSH_AUTH_SOCK not set)'}`);
+    console.log(`[ssh] known hosts: ${hostKeyStore.filePath}`);
+
+    const sessions = createSessionRegistry();
+    // Everything runs on the user's own machine, so every backend is on
+    const openBackend = createBackendDispatcher([
+      createSshBackend({ hostKeyStore, sshConfigPath: DEFAULT_SSH_CONFIG_PATH, agent: sshAgent }),
+      createTelnetBackend(),
+      createTcpBackend(),
+      createLocalBackend(),
+      createDockerBackend(),
+      createKubectlBackend(),
+      createSerialBackend(),
+    ]);
+
     io.on('connection', (socket) => {
       console.log(`[socket] client connected  id=${socket.id}`);
 
-      let sshClient = null;
-      let sshStream = null;
-      let ptyProcess = null;
-      let pendingSize = { rows: 24, cols: 80 };
-
-      const writeToBackend = (data) => {
-        if (ptyProcess) ptyProcess.write(data);
-        else if (sshStream) sshStream.write(data);
-      };
-
-      const resizeBackend = (cols, rows) => {
-        pendingSize = { rows, cols };
-        if (ptyProcess) ptyProcess.resize(cols, rows);
-        else if (sshStream) sshStream.setWindow(rows, cols, 0, 0);
-      };
-
-      const cleanupBackend = () => {
-        if (ptyProcess) {
-          ptyProcess.kill();
-          ptyProcess = null;
-        }
-        if (sshStream) sshStream.end();
-        if (sshClient) sshClient.end();
-        sshStream = null;
-        sshClient = null;
-      };
-
-      socket.on('ssh:connect', (credentials) => {
-        const { host, port = 22, username, password, privateKey, local } = credentials;
-        const isLocal = local || LOCAL_HOSTS.includes(host);
-
-        /* ── Local terminal (no login required) ────────── */
-        if (isLocal) {
-          if (!pty) {
-            socket.emit('ssh:error', { message: 'node-pty is not available. Cannot open local terminal.' });
-            return;
-          }
-
-          console.log('[local] spawning local shell');
-          socket.emit('ssh:status', { status: 'authenticated' });
-
-          const defaultShell = process.platform === 'darwin' ? '/bin/zsh' : '/bin/bash';
-          const shellPath = process.env.SHELL || defaultShell;
-          const homeDir = os.homedir();
-
-          ptyProcess = pty.spawn(shellPath, ['-l'], {
-            name: 'xterm-256color',
-            cols: pendingSize.cols,
-            rows: pendingSize.rows,
-            cwd: homeDir,
-            env: {
-              ...process.env,
-              TERM: 'xterm-256color',
-              HOME: homeDir,
-              LANG: process.env.LANG || 'en_US.UTF-8',
-            },
-          });
-
-          socket.emit('ssh:status', { status: 'ready' });
-
-          ptyProcess.onData((data) => {
-            socket.emit('ssh:output', data);
-          });
-
-          ptyProcess.onExit(({ exitCode, signal }) => {
-            console.log(`[local] shell exited  code=${exitCode} signal=${signal}`);
-            socket.emit('ssh:status', { status: 'disconnected' });
-            ptyProcess = null;
-          });
-
-          return;
-        }
-
-        /* ── Remote SSH connection ──────────────────────── */
-        console.log(`[ssh] connecting to ${username}@${host}:${port}`);
-        sshClient = new Client();
-
-        sshClient.on('ready', () => {
-          console.log(`[ssh] authenticated  ${username}@${host}`);
-          socket.emit('ssh:status', { status: 'authenticated' });
-
-          sshClient.shell(
-            { term: 'xterm-256color', rows: pendingSize.rows, cols: pendingSize.cols },
-            (err, stream) => {
-              if (err) {
-                socket.emit('ssh:error', { message: err.message });
-                return;
-              }
-
-              sshStream = stream;
-              socket.emit('ssh:status', { status: 'ready' });
-
-              stream.on('data', (data) => {
-                socket.emit('ssh:output', data.toString('utf-8'));
-              });
-
-              stream.stderr.on('data', (data) => {
-                socket.emit('ssh:output', data.toString('utf-8'));
-              });
-
-              stream.on('close', () => {
-                console.log(`[ssh] shell closed  ${username}@${host}`);
-                socket.emit('ssh:status', { status: 'disconnected' });
-                if (sshClient) sshClient.end();
-              });
-            });
-        });
-
-        sshClient.on('error', (err) => {
-          console.error(`[ssh] error: ${err.message}`);
-          socket.emit('ssh:error', { message: err.message });
-        });
-
-        sshClient.on('close', () => {
-          console.log('[ssh] connection closed');
-          socket.emit('ssh:status', { status: 'disconnected' });
-          sshClient = null;
-          sshStream = null;
-        });
-
-        const connectConfig = {
-          host,
-          port: Number(port),
-          username,
-          tryKeyboard: true,
-          readyTimeout: 10000,
-        };
-        if (privateKey) {
-          connectConfig.privateKey = privateKey;
-        } else if (password) {
-          connectConfig.password = password;
-        }
-
-        sshClient.on('keyboard-interactive', (_name, _instructions, _lang, _prompts, finish) => {
-          finish([password || '']);
-        });
-
-        sshClient.connect(connectConfig);
+      const { getSession, getClient } = attachSessionHandlers(socket, sessions, (channel, credentials, size) => {
+        // localhost means this machine's own shell, no login required
+        const isLocal = !credentials.type && LOCAL_HOSTS.includes(credentials.host);
+        return openBackend(channel, isLocal ? { ...credentials, type: 'local' } : credentials, size);
       });
 
-      socket.on('ssh:data', (data) => {
-        writeToBackend(data);
-      });
-
-      socket.on('ssh:resize', ({ cols, rows }) => {
-        resizeBackend(cols, rows);
-      });
+      attachSftpHandlers(socket, getClient);
+      attachForwardHandlers(socket, getSession);
 
       socket.on('disconnect', () => {
         console.log(`[socket] client disconnected  id=${socket.id}`);
-        cleanupBackend();
       });
     });
 
@@ -276,6 +179,17 @@ function startServer() {
 
 /* ── Electron Window ───────────────────────────────────────── */
 
+const EXTERNAL_URL_RE = /^(https?:|mailto:)/i;
+
+/** Open a link in the default browser; other schemes (file:, custom handlers) are ignored. */
+function openExternalUrl(url) {
+  if (typeof url === 'string' && EXTERNAL_URL_RE.test(url)) return shell.openExternal(url);
+  console.warn(`[proton] refusing to open ${String(url).slice(0, 80)}`);
+  return undefined;
+}
+
+const NATIVE_THEME_SOURCES = ['system', 'light', 'dark'];
+
 let mainWindow = null;
 
 function createWindow() {
@@ -286,7 +200,7 @@ function createWindow() {
     height: 900,
     minWidth: 800,
     minHeight: 600,
-    backgroundColor: '#0d1117',
+    backgroundColor: nativeTheme.shouldUseDarkColors ? '#0d1117' : '#fafafa',
     webPreferences: {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
@@ -314,7 +228,7 @@ function createWindow() {
   }
 
   mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    shell.openExternal(url);
+    openExternalUrl(url);
     return { action: 'deny' };
   });
 
@@ -387,6 +301,40 @@ function setupIPC() {
   ipcMain.handle('get-server-port', () => serverPort);
   ipcMain.handle('get-platform', () => process.platform);
   ipcMain.handle('get-app-version', () => app.getVersion());
+
+  // Native picker for SSH private keys; returns { path, content } or null if cancelled
+  ipcMain.handle('open-private-key', async () => {
+    const sshDir = path.join(os.homedir(), '.ssh');
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select private key',
+      defaultPath: fs.existsSync(sshDir) ? sshDir : os.homedir(),
+      properties: ['openFile', 'showHiddenFiles'],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    const filePath = result.filePaths[0];
+    if (fs.statSync(filePath).size > MAX_PRIVATE_KEY_BYTES) {
+      throw new Error(`${path.basename(filePath)} is too large to be a private key`);
+    }
+    return { path: filePath, content: fs.readFileSync(filePath, 'utf-8') };
+  });
+
+  // Credential vault: secrets are encrypted with the OS keychain and stored by the renderer as base64
+  ipcMain.handle('vault-available', () => safeStorage.isEncryptionAvailable());
+  ipcMain.handle('vault-encrypt', (_event, plain) => (
+    safeStorage.encryptString(String(plain)).toString('base64')
+  ));
+  ipcMain.handle('vault-decrypt', (_event, data) => (
+    safeStorage.decryptString(Buffer.from(String(data), 'base64'))
+  ));
+
+  // Terminal links: only web and mail URLs are handed to the OS
+  ipcMain.handle('open-external', (_event, url) => openExternalUrl(url));
+
+  // Theme: 'system' follows the OS light/dark mode (and prefers-color-scheme in the renderer)
+  ipcMain.handle('set-native-theme', (_event, source) => {
+    if (!NATIVE_THEME_SOURCES.includes(source)) throw new Error(`Unknown theme source: ${source}`);
+    nativeTheme.themeSource = source;
+  });
 }
 
 /* ── App Lifecycle ─────────────────────────────────────────── */
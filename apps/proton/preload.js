@@ -4,5 +4,11 @@ contextBridge.exposeInMainWorld('proton', {
   getServerPort: () => ipcRenderer.invoke('get-server-port'),
   getPlatform: () => ipcRenderer.invoke('get-platform'),
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
+  openPrivateKey: () => ipcRenderer.invoke('open-private-key'),
+  isSecretStorageAvailable: () => ipcRenderer.invoke('vault-available'),
+  encryptSecret: (plain) => ipcRenderer.invoke('vault-encrypt', plain),
+  decryptSecret: (data) => ipcRenderer.invoke('vault-decrypt', data),
+  openExternal: (url) => ipcRenderer.invoke('open-external', url),
+  setNativeTheme: (source) => ipcRenderer.invoke('set-native-theme', source),
   isProton: true,
 });
@@ -1,10 +1,16 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { ConnectionForm, Terminal, SharedTerminal, GeminiChat } from '@juni/shared-ui';
+import {
+  ConnectionForm, Terminal, SharedTerminal, GeminiChat, CastPlayer, ThemePicker, connectionLabel, useAppTheme, DEFAULT_THEME_ID, DEFAULT_LIGHT_THEME_ID,
+  createPane, createSplit, layoutPanes, findPane, splitPane, pruneLayout, removePane, setPaneTab, setSplitRatio, layoutRects, neighborPane, restoreLayout,
+  WorkspaceSwitcher, createWorkspace, mergeWorkspaces, stripSecrets,
+} from '@juni/shared-ui';
 
 import './App.css';
 
 let nextId = 1;
 const SPLIT_GEMINI_ID = '__split_gemini__';
+const FULL_RECT = { x: 0, y: 0, w: 100, h: 100 };
+const PANE_KEYS = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
 
 const GEMINI_MODELS = [
   { id: 'gemini-3.1-pro-preview', label: 'Gemini 3.1 Pro' },
@@ -25,8 +31,17 @@ const MONO_FONTS = [
   { id: 'Menlo', label: 'Menlo (macOS)', google: false },
 ];
 
+// Broadcast groups: keystrokes typed in one member tab are mirrored to the others
+const BROADCAST_GROUPS = [
+  { id: 'blue', label: 'Blue', color: '#58a6ff' },
+  { id: 'green', label: 'Green', color: '#56d364' },
+  { id: 'orange', label: 'Orange', color: '#f0a050' },
+  { id: 'purple', label: 'Purple', color: '#bc8cff' },
+];
+
 const SETTINGS_KEY = 'juni-cli-proton:settings';
 const TABS_KEY = 'juni-cli-proton:tabs';
+const WORKSPACES_KEY = 'juni-cli-proton:workspaces';
 
 function loadTabs() {
   try {
@@ -44,6 +59,38 @@ function loadSettings() {
   }
 }
 
+function loadWorkspaces() {
+  try {
+    const data = JSON.parse(localStorage.getItem(WORKSPACES_KEY));
+    if (Array.isArray(data)) return data;
+  } catch { /* ignore */ }
+  return [];
+}
+
+// A layout needs at least two panes; a lone pane is just the active tab
+const normalizeLayout = (root) => (root?.type === 'split' ? root : null);
+
+// Restore the saved pane layout, dropping panes whose tabs were not restored (e.g. recordings)
+function loadLayout() {
+  const settings = loadSettings();
+  const saved = loadTabs();
+  const tabIds = new Set((saved?.tabs || []).filter((t) => t.type === 'ssh' || t.type === 'gemini').map((t) => t.id));
+  if (settings.layout) {
+    return normalizeLayout(restoreLayout(settings.layout, (tabId) => (
+      tabId === null || tabId === SPLIT_GEMINI_ID || tabIds.has(tabId) ? tabId : undefined
+    )));
+  }
+  // Settings from before tiled layouts only had the Gemini split
+  if (settings.splitMode) {
+    return createSplit(
+      settings.splitLayout === 'vertical' ? 'column' : 'row',
+      createPane(tabIds.has(saved?.activeTab) ? saved.activeTab : null),
+      createPane(SPLIT_GEMINI_ID),
+    );
+  }
+  return null;
+}
+
 function loadGoogleFont(fontName) {
   const id = `gfont-${fontName.replace(/\s+/g, '-')}`;
   if (document.getElementById(id)) return;
@@ -80,17 +127,14 @@ function App() {
     // Show form only if there are no restored tabs
     return !(saved && saved.tabs.filter((t) => t.type === 'ssh' || t.type === 'gemini').length > 0);
   });
-  const [splitMode, setSplitMode] = useState(() => {
-    const s = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
-    return s.splitMode ?? false;
-  });
+  // Tiled panes: null = the active tab fills the window, else a layout tree (utils/layoutTree.js)
+  const [layout, setLayout] = useState(loadLayout);
+  const [focusedPane, setFocusedPane] = useState(null);
   const [splitLayout, setSplitLayout] = useState(() => {
     const s = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
     return s.splitLayout ?? 'horizontal';
   });
   const [splitGeminiStatus, setSplitGeminiStatus] = useState('connecting');
-  const [splitFocus, setSplitFocus] = useState('left');
-  const [splitRatio, setSplitRatio] = useState(50);
   const [selectedModel, setSelectedModel] = useState('gemini-3.1-pro-preview');
   const [autoExecute, setAutoExecute] = useState(true);
   const [showSettings, setShowSettings] = useState(false);
@@ -117,17 +161,51 @@ function App() {
   const [connectAddr, setConnectAddr] = useState('');
   const [connectError, setConnectError] = useState('');
 
+  // The focused pane, falling back to the active tab's pane or the first one
+  const currentPane = layout
+    ? findPane(layout, (p) => p.id === focusedPane) || findPane(layout, (p) => p.tabId === activeTab) || layoutPanes(layout)[0]
+    : null;
+  // Where the connection form and newly activated tabs go: the focused pane unless it is the Gemini split
+  const hostPane = currentPane?.tabId === SPLIT_GEMINI_ID
+    ? findPane(layout, (p) => p.tabId !== SPLIT_GEMINI_ID)
+    : currentPane;
+  const splitMode = !!findPane(layout, (p) => p.tabId === SPLIT_GEMINI_ID);
+
   const saved = loadSettings();
   const [fontFamily, setFontFamily] = useState(saved.fontFamily || 'Ubuntu Mono');
   const [fontSize, setFontSize] = useState(saved.fontSize || 15);
-  const [bgColor, setBgColor] = useState(saved.bgColor || '#0d1117');
+  // '' = the theme's own background; the old default is dropped so it no longer pins the theme
+  const [bgColor, setBgColor] = useState(saved.bgColor && saved.bgColor !== '#0d1117' ? saved.bgColor : '');
+  const [themeSettings, setThemeSettings] = useState(() => ({
+    themeId: saved.themeId || DEFAULT_THEME_ID,
+    lightThemeId: saved.lightThemeId || DEFAULT_LIGHT_THEME_ID,
+    followSystem: saved.followSystem ?? !!window.proton,
+    customThemes: saved.customThemes || [],
+  }));
+  const theme = useAppTheme({ ...themeSettings, bgColor });
+
+  const handleThemeChange = useCallback(({ bgColor: nextBgColor, ...patch }) => {
+    if (nextBgColor !== undefined) setBgColor(nextBgColor);
+    setThemeSettings((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  // Named workspaces (utils/workspaces.js); `currentWorkspace` is the one last opened or saved
+  const [workspaces, setWorkspaces] = useState(loadWorkspaces);
+  const [currentWorkspace, setCurrentWorkspace] = useState(saved.currentWorkspace || null);
 
 
   const terminalRefs = useRef({});
+  const geminiRefs = useRef({});
   const splitGeminiRef = useRef(null);
+  const pendingGeminiTextRef = useRef(null); // text to paste once the split Gemini panel mounts
   const settingsRef = useRef(null);
   const connectDialogRef = useRef(null);
-  const isDragging = useRef(false);
+
+  // ── Broadcast state ────────────────────────────────
+  const [broadcast, setBroadcast] = useState({});  // { [tabId]: { group, paused } }
+  const [broadcastMenu, setBroadcastMenu] = useState(null);  // { tabId, left, top } while a tab's group menu is open
+  const broadcastMenuRef = useRef(null);
+  const draggingSplit = useRef(null); // { splitId, direction, rect } while a divider is dragged
   const lastSshTabId = useRef(null);
   const mainRef = useRef(null);
 
@@ -151,47 +229,53 @@ function App() {
   }, [fontFamily]);
 
   useEffect(() => {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ fontFamily, fontSize, bgColor, splitMode, splitLayout, sharingEnabled, relayServerAddr, shareNeverExpire }));
-  }, [fontFamily, fontSize, bgColor, splitMode, splitLayout, sharingEnabled, relayServerAddr, shareNeverExpire]);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ fontFamily, fontSize, bgColor, ...themeSettings, layout, splitLayout, currentWorkspace, sharingEnabled, relayServerAddr, shareNeverExpire }));
+  }, [fontFamily, fontSize, bgColor, themeSettings, layout, splitLayout, currentWorkspace, sharingEnabled, relayServerAddr, shareNeverExpire]);
 
-  // Persist tabs to localStorage
+  useEffect(() => {
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(workspaces));
+  }, [workspaces]);
+
+  // Persist tabs to localStorage — without passwords or keys; restored tabs get them from the vault
   useEffect(() => {
     const serializable = tabs
       .filter((t) => t.type === 'ssh' || t.type === 'gemini')
-      .map(({ id, type, connection, status }) => ({ id, type, connection, status }));
+      .map(({ id, type, connection, status, sessionId }) => ({ id, type, connection: stripSecrets(connection), status, sessionId }));
     localStorage.setItem(TABS_KEY, JSON.stringify({ tabs: serializable, activeTab }));
   }, [tabs, activeTab]);
 
   useEffect(() => {
     document.documentElement.style.setProperty('--terminal-font', `'${fontFamily}', monospace`);
     document.documentElement.style.setProperty('--terminal-font-size', `${fontSize}px`);
-    document.documentElement.style.setProperty('--terminal-bg', bgColor);
-  }, [fontFamily, fontSize, bgColor]);
+  }, [fontFamily, fontSize]);
 
-  const handleDividerMouseDown = useCallback((e) => {
+  const handleDividerMouseDown = useCallback((e, split, rect) => {
     e.preventDefault();
-    isDragging.current = true;
-    document.body.style.cursor = splitLayout === 'vertical' ? 'row-resize' : 'col-resize';
+    draggingSplit.current = { splitId: split.id, direction: split.direction, rect };
+    document.body.style.cursor = split.direction === 'column' ? 'row-resize' : 'col-resize';
     document.body.style.userSelect = 'none';
-  }, [splitLayout]);
+  }, []);
 
   useEffect(() => {
     const handleMouseMove = (e) => {
-      if (!isDragging.current || !mainRef.current) return;
-      const rect = mainRef.current.getBoundingClientRect();
+      const drag = draggingSplit.current;
+      if (!drag || !mainRef.current) return;
+      const bounds = mainRef.current.getBoundingClientRect();
+      const { rect } = drag;
+      // Pointer position as a percentage of the split's own box
       let pct;
-      if (splitLayout === 'vertical') {
-        const y = e.clientY - rect.top;
-        pct = (y / rect.height) * 100;
+      if (drag.direction === 'column') {
+        const y = ((e.clientY - bounds.top) / bounds.height) * 100;
+        pct = ((y - rect.y) / rect.h) * 100;
       } else {
-        const x = e.clientX - rect.left;
-        pct = (x / rect.width) * 100;
+        const x = ((e.clientX - bounds.left) / bounds.width) * 100;
+        pct = ((x - rect.x) / rect.w) * 100;
       }
-      setSplitRatio(Math.min(Math.max(pct, 15), 85));
+      setLayout((prev) => prev && setSplitRatio(prev, drag.splitId, pct));
     };
     const handleMouseUp = () => {
-      if (!isDragging.current) return;
-      isDragging.current = false;
+      if (!draggingSplit.current) return;
+      draggingSplit.current = null;
       document.body.style.cursor = '';
       document.body.style.userSelect = '';
     };
@@ -201,7 +285,7 @@ function App() {
       window.removeEventListener('mousemove', handleMouseMove);
       window.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [splitLayout]);
+  }, []);
 
   useEffect(() => {
     if (!showSettings) return;
@@ -227,6 +311,19 @@ function App() {
     return () => document.removeEventListener('mousedown', handleClick);
   }, [showConnectDialog]);
 
+  // Close the broadcast group menu when clicking outside (its tab button toggles it)
+  useEffect(() => {
+    if (!broadcastMenu) return;
+    const handleClick = (e) => {
+      if (e.target.closest?.('.tab-broadcast')) return;
+      if (broadcastMenuRef.current && !broadcastMenuRef.current.contains(e.target)) {
+        setBroadcastMenu(null);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [broadcastMenu]);
+
   // Relay server base URL helper
   const getRelayWsUrl = useCallback((addrOverride) => {
     const addr = addrOverride || relayServerAddr || (serverUrl ? new URL(serverUrl).host : 'localhost');
@@ -436,29 +533,6 @@ function App() {
     };
   }, [tabs, getRelayWsUrl]);
 
-  useEffect(() => {
-    if (!splitMode) return;
-
-    const handleKeyDown = (e) => {
-      if (e.shiftKey && e.key === 'Tab') {
-        e.preventDefault();
-        e.stopPropagation();
-        setSplitFocus((prev) => {
-          const next = prev === 'left' ? 'right' : 'left';
-          if (next === 'right') {
-            splitGeminiRef.current?.focus();
-          } else if (activeTab && terminalRefs.current[activeTab]) {
-            terminalRefs.current[activeTab].focus();
-          }
-          return next;
-        });
-      }
-    };
-
-    window.addEventListener('keydown', handleKeyDown, true);
-    return () => window.removeEventListener('keydown', handleKeyDown, true);
-  }, [splitMode, activeTab]);
-
   const handleConnect = useCallback((credentials) => {
     const id = nextId++;
     const newTab = { id, type: 'ssh', connection: credentials, status: 'connecting' };
@@ -482,6 +556,22 @@ function App() {
     lastSshTabId.current = id;
   }, []);
 
+  // Player tabs replay asciicast recordings (from the terminal's Rec button or a .cast file)
+  const handleOpenRecording = useCallback((name, cast) => {
+    const id = nextId++;
+    const newTab = { id, type: 'player', name, cast, status: 'ready' };
+    setTabs((prev) => [...prev, newTab]);
+    setActiveTab(id);
+    setShowForm(false);
+  }, []);
+
+  const handleRecordingFile = useCallback((e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((cast) => handleOpenRecording(file.name, cast));
+  }, [handleOpenRecording]);
+
   const handleOpenGemini = useCallback(() => {
     const id = nextId++;
     const newTab = { id, type: 'gemini', status: 'connecting' };
@@ -498,13 +588,25 @@ function App() {
     );
   }, []);
 
+  const handleSessionChange = useCallback((tabId, sessionId) => {
+    setTabs((prev) =>
+      prev.map((t) => (t.id === tabId ? { ...t, sessionId } : t)),
+    );
+  }, []);
+
   const handleCloseTab = useCallback(
     (tabId) => {
+      // Closing a tab closes its pane; focus moves to a tab that is still on screen
+      const remaining = layout && pruneLayout(layout, (p) => p.tabId === tabId);
+      if (remaining !== layout) setLayout(normalizeLayout(remaining));
+      const onScreen = remaining !== layout
+        ? layoutPanes(remaining).find((p) => p.tabId !== null && p.tabId !== SPLIT_GEMINI_ID)?.tabId
+        : undefined;
       setTabs((prev) => {
         const updated = prev.filter((t) => t.id !== tabId);
         if (activeTab === tabId) {
           if (updated.length > 0) {
-            setActiveTab(updated[updated.length - 1].id);
+            setActiveTab(onScreen ?? updated[updated.length - 1].id);
             setShowForm(false);
           } else {
             setActiveTab(null);
@@ -513,14 +615,56 @@ function App() {
         }
         return updated;
       });
+      setBroadcast((prev) => {
+        if (!prev[tabId]) return prev;
+        const next = { ...prev };
+        delete next[tabId];
+        return next;
+      });
     },
-    [activeTab],
+    [activeTab, layout],
   );
 
+  // Mirror keystrokes typed in a broadcasting tab to the other unpaused members of its group
+  const handleBroadcastInput = useCallback((tabId, data) => {
+    const member = broadcast[tabId];
+    if (!member || member.paused) return;
+    for (const [id, other] of Object.entries(broadcast)) {
+      if (id === String(tabId) || other.group !== member.group || other.paused) continue;
+      terminalRefs.current[id]?.writeToTerminal(data);
+    }
+  }, [broadcast]);
+
+  const setBroadcastGroup = useCallback((tabId, group) => {
+    setBroadcast((prev) => {
+      const next = { ...prev };
+      if (group) next[tabId] = { group, paused: false };
+      else delete next[tabId];
+      return next;
+    });
+    setBroadcastMenu(null);
+  }, []);
+
+  const toggleBroadcastPause = useCallback((tabId) => {
+    setBroadcast((prev) => (
+      prev[tabId] ? { ...prev, [tabId]: { ...prev[tabId], paused: !prev[tabId].paused } } : prev
+    ));
+  }, []);
+
+  // Toolbar info for a tab's broadcast group, or null when it isn't in one
+  const broadcastInfo = (tabId) => {
+    const member = broadcast[tabId];
+    const group = member && BROADCAST_GROUPS.find((g) => g.id === member.group);
+    if (!group) return null;
+    const members = Object.values(broadcast).filter((m) => m.group === member.group).length;
+    return { label: group.label, color: group.color, paused: member.paused, members };
+  };
+
   const handleNewTab = useCallback(() => {
     setShowForm(true);
     setActiveTab(null);
-  }, []);
+    if (hostPane) setFocusedPane(hostPane.id);
+  }, [hostPane]);
 
   const switchTab = useCallback((tabId) => {
     setActiveTab(tabId);
@@ -529,12 +673,185 @@ function App() {
     if (tab && tab.type === 'ssh') {
       lastSshTabId.current = tabId;
     }
-  }, [tabs]);
+    const pane = findPane(layout, (p) => p.tabId === tabId);
+    if (pane) setFocusedPane(pane.id);
+  }, [tabs, layout]);
+
+  /* ── Workspaces ── */
+
+  // Snapshot the ssh / Gemini tabs, layout, theme and agent settings under `name`
+  const handleSaveWorkspace = useCallback((name) => {
+    const { themeId, lightThemeId, followSystem, customThemes } = themeSettings;
+    const workspace = createWorkspace(name, {
+      tabs,
+      activeTab: showForm ? null : activeTab,
+      layout,
+      splitLayout,
+      // Imported themes travel with the workspace so it looks the same elsewhere
+      theme: {
+        themeId,
+        lightThemeId,
+        followSystem,
+        bgColor,
+        customThemes: customThemes.filter((t) => t.id === themeId || t.id === lightThemeId),
+      },
+      agent: { model: selectedModel, agentMode, stepThrough, autoExecute },
+    });
+    setWorkspaces((prev) => mergeWorkspaces(prev, [workspace]));
+    setCurrentWorkspace(name);
+  }, [tabs, showForm, activeTab, layout, splitLayout, themeSettings, bgColor, selectedModel, agentMode, stepThrough, autoExecute]);
 
-  const toggleSplit = useCallback(() => {
-    setSplitMode((prev) => !prev);
+  // Replace the open tabs with a workspace's; its connections reconnect (prompting for passwords)
+  const handleOpenWorkspace = useCallback((workspace) => {
+    if (tabs.length > 0 && !window.confirm(`Open workspace "${workspace.name}"? This closes the ${tabs.length} open tab${tabs.length === 1 ? '' : 's'}.`)) {
+      return;
+    }
+    for (const state of Object.values(sharingState)) state.ws?.close();
+    for (const tab of tabs) {
+      if (tab.type === 'shared') tab.shareWs?.close();
+    }
+    setBroadcast({});
+    setBroadcastMenu(null);
+
+    // Saved tab ids are only meaningful within the workspace; give each tab a fresh one
+    const ids = new Map();
+    const restored = workspace.tabs.map((t) => {
+      const id = nextId++;
+      ids.set(t.id, id);
+      return t.type === 'ssh'
+        ? { id, type: 'ssh', connection: t.connection, status: 'connecting' }
+        : { id, type: 'gemini', status: 'connecting' };
+    });
+    const active = ids.get(workspace.activeTab) ?? restored[0]?.id ?? null;
+    setTabs(restored);
+    setLayout(normalizeLayout(restoreLayout(workspace.layout, (tabId) => (
+      tabId === null || tabId === SPLIT_GEMINI_ID ? tabId : ids.get(tabId)
+    ))));
+    setFocusedPane(null);
+    setActiveTab(active);
+    setShowForm(active === null);
+    setSplitLayout(workspace.splitLayout);
+
+    if (workspace.theme) {
+      const { themeId, lightThemeId, followSystem, bgColor: workspaceBg, customThemes = [] } = workspace.theme;
+      const themeIds = new Set(customThemes.map((t) => t.id));
+      setBgColor(typeof workspaceBg === 'string' ? workspaceBg : '');
+      setThemeSettings((prev) => ({
+        themeId: themeId || prev.themeId,
+        lightThemeId: lightThemeId || prev.lightThemeId,
+        followSystem: typeof followSystem === 'boolean' ? followSystem : prev.followSystem,
+        customThemes: [...prev.customThemes.filter((t) => !themeIds.has(t.id)), ...customThemes],
+      }));
+    }
+    // Agent mode and auto-execute only come from workspaces saved here; imported ones carry just the model
+    const agent = workspace.agent || {};
+    if (GEMINI_MODELS.some((m) => m.id === agent.model)) setSelectedModel(agent.model);
+    if (typeof agent.agentMode === 'boolean') setAgentMode(agent.agentMode);
+    if (typeof agent.stepThrough === 'boolean') setStepThrough(agent.stepThrough);
+    if (typeof agent.autoExecute === 'boolean') setAutoExecute(agent.autoExecute);
+    setCurrentWorkspace(workspace.name);
+  }, [tabs, sharingState]);
+
+  const handleDeleteWorkspace = useCallback((name) => {
+    setWorkspaces((prev) => prev.filter((ws) => ws.name !== name));
+    setCurrentWorkspace((prev) => (prev === name ? null : prev));
+  }, []);
+
+  const handleImportWorkspaces = useCallback((imported) => {
+    setWorkspaces((prev) => mergeWorkspaces(prev, imported));
+  }, []);
+
+  /* ── Panes ── */
+
+  // Focus a pane and the tab in it; an empty pane shows the connection form
+  const focusPane = useCallback((pane) => {
+    setFocusedPane(pane.id);
+    if (pane.tabId === null) {
+      setActiveTab(null);
+      setShowForm(true);
+    } else {
+      if (pane.tabId !== SPLIT_GEMINI_ID) setActiveTab(pane.tabId);
+      setShowForm(false);
+    }
+    requestAnimationFrame(() => {
+      const target = pane.tabId === SPLIT_GEMINI_ID
+        ? splitGeminiRef.current
+        : terminalRefs.current[pane.tabId] || geminiRefs.current[pane.tabId];
+      target?.focus();
+    });
   }, []);
 
+  // A tab that becomes active is shown in its own pane if it has one, otherwise in the host pane
+  useEffect(() => {
+    if (!layout || activeTab === null) return;
+    const existing = findPane(layout, (p) => p.tabId === activeTab);
+    if (existing) {
+      setFocusedPane(existing.id);
+    } else if (hostPane) {
+      setLayout(setPaneTab(layout, hostPane.id, activeTab));
+      setFocusedPane(hostPane.id);
+    }
+    // Only on tab changes: focusing another pane (e.g. the Gemini split) must not be undone
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab]);
+
+  // Split the focused pane ('row' = side by side, 'column' = stacked); the new pane opens empty
+  const splitFocusedPane = useCallback((direction) => {
+    const root = layout || createPane(showForm ? null : activeTab);
+    const pane = createPane(null);
+    setLayout(splitPane(root, (currentPane || root).id, direction, pane));
+    focusPane(pane);
+  }, [layout, currentPane, showForm, activeTab, focusPane]);
+
+  // Remove a pane from the layout; its tab stays open
+  const closePane = useCallback((paneId) => {
+    const remaining = removePane(layout, paneId);
+    setLayout(normalizeLayout(remaining));
+    if (paneId !== currentPane?.id) return;
+    const next = layoutPanes(remaining).find((p) => p.tabId !== SPLIT_GEMINI_ID);
+    if (next) focusPane(next);
+  }, [layout, currentPane, focusPane]);
+
+  // Pane navigation: Shift+Tab cycles through the panes, Alt+Shift+Arrow moves to the neighbouring one
+  useEffect(() => {
+    if (!layout) return;
+
+    const handleKeyDown = (e) => {
+      let target;
+      if (e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey && e.key === 'Tab') {
+        const panes = layoutPanes(layout);
+        target = panes[(panes.indexOf(currentPane) + 1) % panes.length];
+      } else if (e.shiftKey && e.altKey && !e.ctrlKey && !e.metaKey && PANE_KEYS[e.key]) {
+        target = neighborPane(layout, currentPane.id, PANE_KEYS[e.key]);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      if (target) focusPane(target);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [layout, currentPane, focusPane]);
+
+  // The Gemini panel is a pane of its own beside the whole layout
+  const openGeminiSplit = useCallback(() => {
+    if (splitMode) return;
+    const root = layout || createPane(showForm ? null : activeTab);
+    setLayout(createSplit(splitLayout === 'vertical' ? 'column' : 'row', root, createPane(SPLIT_GEMINI_ID)));
+  }, [splitMode, layout, showForm, activeTab, splitLayout]);
+
+  const closeGeminiSplit = useCallback(() => {
+    const pane = findPane(layout, (p) => p.tabId === SPLIT_GEMINI_ID);
+    if (pane) closePane(pane.id);
+  }, [layout, closePane]);
+
+  const toggleSplit = useCallback(() => {
+    if (splitMode) closeGeminiSplit();
+    else openGeminiSplit();
+  }, [splitMode, closeGeminiSplit, openGeminiSplit]);
+
   const sendToGemini = useCallback(() => {
     if (!splitMode || !activeTab) return;
     const termRef = terminalRefs.current[activeTab];
@@ -544,6 +861,22 @@ function App() {
     splitGeminiRef.current?.pasteText(text);
   }, [splitMode, activeTab]);
 
+  // Send a snippet (e.g. a file clicked in terminal output) to the split Gemini panel, opening it if needed
+  const sendTextToGemini = useCallback((text) => {
+    if (splitGeminiRef.current) {
+      splitGeminiRef.current.pasteText(text);
+      return;
+    }
+    pendingGeminiTextRef.current = text;
+    openGeminiSplit();
+  }, [openGeminiSplit]);
+
+  useEffect(() => {
+    if (!splitMode || !pendingGeminiTextRef.current) return;
+    splitGeminiRef.current?.pasteText(pendingGeminiTextRef.current);
+    pendingGeminiTextRef.current = null;
+  }, [splitMode]);
+
   const sendToTerminal = useCallback(() => {
     if (!splitMode || !activeTab) return;
     const selection = window.getSelection();
@@ -607,8 +940,8 @@ function App() {
     if (tab.type === 'gemini') return 'Gemini';
     if (tab.type === 'claude') return 'Claude';
     if (tab.type === 'shared') return `Shared (${tab.shareCode?.substring(0, 6)}…)`;
-    if (tab.connection?.local) return 'local';
-    return `${tab.connection.username}@${tab.connection.host}`;
+    if (tab.type === 'player') return tab.name.replace(/\.cast$/, '');
+    return connectionLabel(tab.connection);
   };
 
   const activeSession = tabs.find((t) => t.id === activeTab);
@@ -633,6 +966,27 @@ function App() {
     );
   }
 
+  // Where each tab is drawn: its pane in a tiled layout, the whole area when it is the active tab
+  const { panes: paneRects, splits: splitRects } = layoutRects(layout);
+  const paneOf = (tabId) => paneRects.find((p) => p.pane.tabId === tabId);
+  const formRect = !showForm ? null : layout ? paneRects.find((p) => p.pane === hostPane)?.rect : FULL_RECT;
+  const tabRect = (tabId) => {
+    if (!layout) return tabId === activeTab && !showForm ? FULL_RECT : null;
+    const entry = paneOf(tabId);
+    if (!entry || (showForm && entry.pane === hostPane)) return null;
+    return entry.rect;
+  };
+  const slotProps = (pane, rect) => ({
+    className: `pane-slot ${layout && pane === currentPane ? 'pane-slot--focused' : ''}`,
+    style: rect
+      ? { left: `${rect.x}%`, top: `${rect.y}%`, width: `${rect.w}%`, height: `${rect.h}%` }
+      : { display: 'none' },
+    onMouseDown: () => {
+      if (layout && pane && pane !== currentPane) focusPane(pane);
+    },
+  });
+  const tabSlot = (tabId) => slotProps(paneOf(tabId)?.pane, tabRect(tabId));
+
   return (
     <div className="app">
       <header className="app-header">
@@ -643,6 +997,14 @@ function App() {
           <h1>Juni CLI</h1>
         </div>
         <div className="header-right">
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            current={currentWorkspace}
+            onOpen={handleOpenWorkspace}
+            onSave={handleSaveWorkspace}
+            onDelete={handleDeleteWorkspace}
+            onImport={handleImportWorkspaces}
+          />
           <button
             className="split-toggle split-toggle--connect"
             onClick={() => setShowConnectDialog(true)}
@@ -650,6 +1012,21 @@ function App() {
           >
             Sharing
           </button>
+          {(tabs.length > 0 || layout) && (
+            <div className="pane-controls">
+              <button className="split-toggle pane-control" onClick={() => splitFocusedPane('row')} title="Split the focused pane right">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /><line x1="12" y1="3" x2="12" y2="21" /></svg>
+              </button>
+              <button className="split-toggle pane-control" onClick={() => splitFocusedPane('column')} title="Split the focused pane down">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /><line x1="3" y1="12" x2="21" y2="12" /></svg>
+              </button>
+              {layout && (
+                <button className="split-toggle pane-control" onClick={() => closePane(currentPane.id)} title="Close the focused pane (its tab stays open) — Shift+Tab or Alt+Shift+Arrow moves between panes">
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /><line x1="9" y1="9" x2="15" y2="15" /><line x1="15" y1="9" x2="9" y2="15" /></svg>
+                </button>
+              )}
+            </div>
+          )}
           {hasReadySSH && (
             <button
               className={`split-toggle ${splitMode ? 'split-toggle--active' : ''}`}
@@ -707,31 +1084,11 @@ function App() {
                     onChange={(e) => setFontSize(Number(e.target.value))}
                   />
                 </div>
-                <div className="settings-group">
-                  <label className="settings-label">Background Color</label>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                    <input
-                      type="color"
-                      value={bgColor}
-                      onChange={(e) => setBgColor(e.target.value)}
-                      style={{ width: '32px', height: '32px', border: 'none', cursor: 'pointer', background: 'none' }}
-                    />
-                    <input
-                      className="settings-input"
-                      type="text"
-                      value={bgColor}
-                      onChange={(e) => setBgColor(e.target.value)}
-                      style={{ flex: 1 }}
-                    />
-                    <button
-                      className="settings-reset-btn"
-                      onClick={() => setBgColor('#0d1117')}
-                      title="Reset to default"
-                    >
-                      Reset
-                    </button>
-                  </div>
-                </div>
+                <ThemePicker
+                  settings={{ ...themeSettings, bgColor }}
+                  onChange={handleThemeChange}
+                  theme={theme}
+                />
 
 
                 <div className="settings-group">
@@ -804,19 +1161,37 @@ function App() {
           {tabs.map((tab) => (
             <div
               key={tab.id}
-              className={`tab ${tab.id === activeTab && !showForm ? 'active' : ''} ${tab.type === 'gemini' ? 'tab--gemini' : ''} ${tab.type === 'shared' ? 'tab--shared' : ''} ${sharingState[tab.id]?.active ? 'tab--sharing' : ''}`}
+              className={`tab ${tab.id === activeTab && !showForm ? 'active' : ''} ${tab.type === 'gemini' ? 'tab--gemini' : ''} ${tab.type === 'shared' ? 'tab--shared' : ''} ${sharingState[tab.id]?.active ? 'tab--sharing' : ''} ${broadcast[tab.id] ? 'tab--broadcast' : ''}`}
+              style={broadcast[tab.id] ? { '--broadcast-color': broadcastInfo(tab.id)?.color } : undefined}
               onClick={() => switchTab(tab.id)}
             >
               {tab.type === 'gemini' ? (
                 <span className={`tab-status-dot ${tab.status}`} />
               ) : tab.type === 'shared' ? (
                 <span className="tab-shared-icon">📡</span>
+              ) : tab.type === 'player' ? (
+                <span className="tab-player-icon">▶</span>
               ) : (
                 <span className={`tab-status-dot ${tab.status}`} />
               )}
               <span className="tab-label">
                 {getTabLabel(tab)}
               </span>
+              {tab.type === 'ssh' && (
+                <button
+                  className={`tab-broadcast ${broadcast[tab.id] ? 'tab-broadcast--member' : ''} ${broadcast[tab.id]?.paused ? 'tab-broadcast--paused' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    const rect = e.currentTarget.getBoundingClientRect();
+                    setBroadcastMenu((prev) => (
+                      prev?.tabId === tab.id ? null : { tabId: tab.id, left: rect.left, top: rect.bottom + 4 }
+                    ));
+                  }}
+                  title="Broadcast input to a group of tabs"
+                >
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="2" /><path d="M16.24 7.76a6 6 0 0 1 0 8.49" /><path d="M7.76 16.24a6 6 0 0 1 0-8.49" /><path d="M19.07 4.93a10 10 0 0 1 0 14.14" /><path d="M4.93 19.07a10 10 0 0 1 0-14.14" /></svg>
+                </button>
+              )}
               <button
                 className="tab-close"
                 onClick={(e) => {
@@ -836,53 +1211,111 @@ function App() {
             <button className="tab-new" onClick={handleNewTab} title="New SSH connection">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" /></svg>
             </button>
+            <label className="tab-new tab-open-recording" title="Play a recording (.cast)">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="6 4 20 12 6 20 6 4" /></svg>
+              <input type="file" accept=".cast,application/x-asciicast" onChange={handleRecordingFile} hidden />
+            </label>
 
           </div>
         </div>
       )}
 
+      {/* ── Broadcast group menu ─────────────────────────── */}
+      {broadcastMenu && (
+        <div className="broadcast-menu" ref={broadcastMenuRef} style={{ left: broadcastMenu.left, top: broadcastMenu.top }}>
+          <div className="broadcast-menu-title">Broadcast input</div>
+          {BROADCAST_GROUPS.map((group) => {
+            const count = Object.values(broadcast).filter((m) => m.group === group.id).length;
+            return (
+              <button
+                key={group.id}
+                className={`broadcast-menu-item ${broadcast[broadcastMenu.tabId]?.group === group.id ? 'broadcast-menu-item--active' : ''}`}
+                onClick={() => setBroadcastGroup(broadcastMenu.tabId, group.id)}
+              >
+                <span className="broadcast-menu-swatch" style={{ background: group.color }} />
+                {group.label}
+                {count > 0 && <span className="broadcast-menu-count">{count}</span>}
+              </button>
+            );
+          })}
+          {broadcast[broadcastMenu.tabId] && (
+            <>
+              <div className="broadcast-menu-divider" />
+              <button
+                className="broadcast-menu-item"
+                onClick={() => {
+                  toggleBroadcastPause(broadcastMenu.tabId);
+                  setBroadcastMenu(null);
+                }}
+              >
+                {broadcast[broadcastMenu.tabId].paused ? 'Resume broadcasting' : 'Pause broadcasting'}
+              </button>
+              <button className="broadcast-menu-item" onClick={() => setBroadcastGroup(broadcastMenu.tabId, null)}>
+                Leave group
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ── Content ─────────────────────────────────────── */}
-      <main className={`app-main ${splitMode ? `app-main--split app-main--split-${splitLayout}` : ''}`} ref={mainRef} style={splitMode ? { '--split-ratio': `${splitRatio}%` } : undefined}>
-        {/* Left panel (or full panel when not split) */}
-        <div className={`split-panel split-panel--left ${splitMode ? '' : 'split-panel--full'}`}>
-          {showForm && <ConnectionForm onConnect={handleConnect} onLocalConnect={handleLocalConnect} serverUrl={serverUrl} />}
+      <main className="app-main">
+        {/* Panes: every tab stays mounted, the layout only positions it */}
+        <div className="pane-area" ref={mainRef}>
+          {formRect && (
+            <div {...slotProps(hostPane, formRect)}>
+              <ConnectionForm onConnect={handleConnect} onLocalConnect={handleLocalConnect} serverUrl={serverUrl} supportsAgent />
+            </div>
+          )}
 
           {tabs.map((tab) =>
             tab.type === 'ssh' ? (
-              <Terminal
-                key={tab.id}
-                ref={(el) => {
-                  if (el) terminalRefs.current[tab.id] = el;
-                  else delete terminalRefs.current[tab.id];
-                }}
-                tabId={tab.id}
-                connection={tab.connection}
-                isActive={tab.id === activeTab && !showForm}
-                onStatusChange={(status) => handleStatusChange(tab.id, status)}
-                onClose={() => handleCloseTab(tab.id)}
-                fontFamily={fontFamily}
-                fontSize={fontSize}
-                bgColor={bgColor}
-                serverUrl={serverUrl}
-                isSharing={!!sharingState[tab.id]?.active}
-                shareCode={sharingState[tab.id]?.code || ''}
-                viewerCount={sharingState[tab.id]?.viewerCount || 0}
-                onShareStart={() => handleStartSharing(tab.id)}
-                onShareStop={() => handleStopSharing(tab.id)}
-                onTerminalOutput={(data) => {
-                  const state = sharingState[tab.id];
-                  if (state?.active && state?.ws?.readyState === WebSocket.OPEN) {
-                    state.ws.send(JSON.stringify({ type: 'output', data }));
-                  }
-                }}
-                onSendToGemini={splitMode ? sendToGemini : undefined}
-              />
+              <div key={tab.id} {...tabSlot(tab.id)}>
+                <Terminal
+                  ref={(el) => {
+                    if (el) terminalRefs.current[tab.id] = el;
+                    else delete terminalRefs.current[tab.id];
+                  }}
+                  tabId={tab.id}
+                  connection={tab.connection}
+                  isActive={!!tabRect(tab.id)}
+                  onStatusChange={(status) => handleStatusChange(tab.id, status)}
+                  sessionId={tab.sessionId}
+                  onSessionChange={(sessionId) => handleSessionChange(tab.id, sessionId)}
+                  onClose={() => handleCloseTab(tab.id)}
+                  fontFamily={fontFamily}
+                  fontSize={fontSize}
+                  bgColor={bgColor}
+                  theme={theme}
+                  serverUrl={serverUrl}
+                  isSharing={!!sharingState[tab.id]?.active}
+                  shareCode={sharingState[tab.id]?.code || ''}
+                  viewerCount={sharingState[tab.id]?.viewerCount || 0}
+                  onShareStart={() => handleStartSharing(tab.id)}
+                  onShareStop={() => handleStopSharing(tab.id)}
+                  onTerminalOutput={(data) => {
+                    const state = sharingState[tab.id];
+                    if (state?.active && state?.ws?.readyState === WebSocket.OPEN) {
+                      state.ws.send(JSON.stringify({ type: 'output', data }));
+                    }
+                  }}
+                  onSendToGemini={splitMode ? sendToGemini : undefined}
+                  onOpenRecording={handleOpenRecording}
+                  onSendTextToGemini={sendTextToGemini}
+                  onInput={(data) => handleBroadcastInput(tab.id, data)}
+                  broadcast={broadcastInfo(tab.id)}
+                  onBroadcastPauseToggle={() => toggleBroadcastPause(tab.id)}
+                />
+              </div>
             ) : tab.type === 'gemini' ? (
-              !splitMode && (
+              <div key={tab.id} {...tabSlot(tab.id)}>
                 <GeminiChat
-                  key={tab.id}
+                  ref={(el) => {
+                    if (el) geminiRefs.current[tab.id] = el;
+                    else delete geminiRefs.current[tab.id];
+                  }}
                   model={selectedModel}
-                  isActive={tab.id === activeTab && !showForm}
+                  isActive={!!tabRect(tab.id)}
                   onStatusChange={(status) => handleStatusChange(tab.id, status)}
                   onClose={() => handleCloseTab(tab.id)}
                   onRunCommand={handleRunCommand}
@@ -908,48 +1341,62 @@ function App() {
                     onSendToTerminal={splitMode ? sendToTerminal : undefined}
                     serverUrl={serverUrl}
                 />
-                )
+              </div>
             ) : null,
           )}
 
+          {/* Recording player tabs */}
+          {tabs.filter((t) => t.type === 'player').map((tab) => (
+            <div key={tab.id} {...tabSlot(tab.id)}>
+              <CastPlayer
+                name={tab.name}
+                cast={tab.cast}
+                isActive={!!tabRect(tab.id)}
+                onClose={() => handleCloseTab(tab.id)}
+                fontFamily={fontFamily}
+                fontSize={fontSize}
+                bgColor={bgColor}
+                theme={theme}
+              />
+            </div>
+          ))}
+
           {/* Shared terminal tabs */}
           {tabs.filter((t) => t.type === 'shared').map((tab) => (
-            <SharedTerminal
-              key={tab.id}
-              ref={(el) => {
-                if (el) terminalRefs.current[tab.id] = el;
-                else delete terminalRefs.current[tab.id];
-              }}
-              tabId={tab.id}
-              shareWs={tab.shareWs}
-              shareCode={tab.shareCode}
-              isActive={tab.id === activeTab && !showForm}
-              status={tab.status}
-              onStatusChange={(status) => handleStatusChange(tab.id, status)}
-              onReconnect={() => handleReconnectShared(tab.id)}
-              onClose={() => {
-                if (tab.shareWs) tab.shareWs.close();
-                handleCloseTab(tab.id);
-              }}
-              fontFamily={fontFamily}
-              fontSize={fontSize}
-              bgColor={bgColor}
-            />
+            <div key={tab.id} {...tabSlot(tab.id)}>
+              <SharedTerminal
+                ref={(el) => {
+                  if (el) terminalRefs.current[tab.id] = el;
+                  else delete terminalRefs.current[tab.id];
+                }}
+                tabId={tab.id}
+                shareWs={tab.shareWs}
+                shareCode={tab.shareCode}
+                isActive={!!tabRect(tab.id)}
+                status={tab.status}
+                onStatusChange={(status) => handleStatusChange(tab.id, status)}
+                onReconnect={() => handleReconnectShared(tab.id)}
+                onClose={() => {
+                  if (tab.shareWs) tab.shareWs.close();
+                  handleCloseTab(tab.id);
+                }}
+                fontFamily={fontFamily}
+                fontSize={fontSize}
+                bgColor={bgColor}
+                theme={theme}
+              />
+            </div>
           ))}
-        </div>
 
-        {/* Right panel — Gemini (only in split mode) */}
-        {splitMode && (
-          <>
-            <div className="split-divider" onMouseDown={handleDividerMouseDown} />
-            <div className="split-panel split-panel--right">
+          {/* Gemini split pane */}
+          {splitMode && (
+            <div key={SPLIT_GEMINI_ID} {...tabSlot(SPLIT_GEMINI_ID)}>
               <GeminiChat
-                key={SPLIT_GEMINI_ID}
                 ref={splitGeminiRef}
                 model={selectedModel}
-                isActive={true}
+                isActive={!!tabRect(SPLIT_GEMINI_ID)}
                 onStatusChange={(status) => setSplitGeminiStatus(status)}
-                onClose={() => setSplitMode(false)}
+                onClose={closeGeminiSplit}
                 onRunCommand={handleRunCommand}
                 agentMode={agentMode}
                 onAgentModeChange={setAgentMode}
@@ -974,8 +1421,38 @@ function App() {
                 serverUrl={serverUrl}
               />
             </div>
-          </>
-        )}
+          )}
+
+          {/* Empty panes */}
+          {paneRects.filter(({ pane }) => pane.tabId === null && !(showForm && pane === hostPane)).map(({ pane, rect }) => (
+            <div key={pane.id} {...slotProps(pane, rect)}>
+              <div className="pane-empty">
+                <span>Empty pane</span>
+                <div className="pane-empty-actions" onMouseDown={(e) => e.stopPropagation()}>
+                  <button className="settings-reset-btn" onClick={() => focusPane(pane)}>New connection</button>
+                  <button className="settings-reset-btn" onClick={() => closePane(pane.id)}>Close pane</button>
+                </div>
+                <span className="pane-empty-hint">or pick a tab above to show it here</span>
+              </div>
+            </div>
+          ))}
+
+          {/* Dividers */}
+          {splitRects.map(({ split, rect }) => {
+            const share = split.ratio / 100;
+            const style = split.direction === 'row'
+              ? { left: `${rect.x + rect.w * share}%`, top: `${rect.y}%`, height: `${rect.h}%` }
+              : { top: `${rect.y + rect.h * share}%`, left: `${rect.x}%`, width: `${rect.w}%` };
+            return (
+              <div
+                key={split.id}
+                className={`split-divider split-divider--${split.direction}`}
+                style={style}
+                onMouseDown={(e) => handleDividerMouseDown(e, split, rect)}
+              />
+            );
+          })}
+        </div>
       </main>
 
       {/* ── Connect to Shared dialog ─────────────────── */}
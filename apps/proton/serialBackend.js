@@ -0,0 +1,144 @@
+const { StringDecoder } = require('string_decoder');
+const express = require('express');
+const { createBackendEvents } = require('@juni/shared-server');
+
+let SerialPort;
+try {
+  ({ SerialPort } = require('serialport'));
+} catch (err) {
+  console.warn('[serial] serialport not available:', err.message.split('\n')[0]);
+}
+
+const DEFAULT_BAUD_RATE = 115200;
+const PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+const FLOW_CONTROLS = ['none', 'rtscts', 'xonxoff'];
+
+function isSerialAvailable() {
+  return !!SerialPort;
+}
+
+/**
+ * Open a serial console (USB-serial adapters, dev boards, network gear).
+ *
+ * credentials: { type: 'serial', path, baudRate?, dataBits?, parity?, stopBits?, flowControl? }
+ * Emits `ssh:status` / `ssh:error` like an SSH session and returns a backend handle.
+ * Resizing is a no-op: a serial line has no window size.
+ */
+function openSerialConsole(socket, credentials) {
+  if (!SerialPort) {
+    socket.emit('ssh:error', { message: 'serialport is not available. Cannot open serial console.' });
+    return null;
+  }
+
+  const { path: portPath, dataBits = 8, stopBits = 1 } = credentials;
+  const baudRate = Number(credentials.baudRate) || DEFAULT_BAUD_RATE;
+  const parity = PARITIES.includes(credentials.parity) ? credentials.parity : 'none';
+  const flowControl = FLOW_CONTROLS.includes(credentials.flowControl) ? credentials.flowControl : 'none';
+  if (!portPath) {
+    socket.emit('ssh:error', { message: 'Choose a serial port' });
+    return null;
+  }
+
+  const events = createBackendEvents();
+  const settings = `${baudRate} ${dataBits}${parity[0].toUpperCase()}${stopBits}${flowControl === 'none' ? '' : ` ${flowControl}`}`;
+  console.log(`[serial] opening ${portPath} (${settings})`);
+
+  let port;
+  try {
+    port = new SerialPort({
+      path: portPath,
+      baudRate,
+      dataBits: Number(dataBits),
+      stopBits: Number(stopBits),
+      parity,
+      rtscts: flowControl === 'rtscts',
+      xon: flowControl === 'xonxoff',
+      xoff: flowControl === 'xonxoff',
+      autoOpen: false,
+    });
+  } catch (err) {
+    socket.emit('ssh:error', { message: err.message });
+    return null;
+  }
+
+  port.open((err) => {
+    if (err) {
+      console.error(`[serial] ${portPath}: ${err.message}`);
+      socket.emit('ssh:error', { message: err.message });
+      events.emitExit();
+      return;
+    }
+    socket.emit('ssh:status', { status: 'authenticated' });
+    socket.emit('ssh:status', { status: 'ready' });
+  });
+
+  // Characters can straddle reads; the decoder holds partial ones back
+  const decoder = new StringDecoder('utf-8');
+  port.on('data', (data) => {
+    const text = decoder.write(data);
+    if (text) events.emitData(text);
+  });
+  port.on('error', (err) => {
+    console.error(`[serial] ${portPath}: ${err.message}`);
+    socket.emit('ssh:error', { message: err.message });
+  });
+  port.on('close', () => {
+    console.log(`[serial] ${portPath} closed`);
+    events.emitExit();
+  });
+
+  return {
+    client: null,
+    write(data) {
+      if (port.isOpen) port.write(data);
+    },
+    resize() {},
+    end() {
+      if (port.isOpen) port.close();
+    },
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/** Serial console terminal backend (`credentials.type` 'serial'). */
+function createSerialBackend() {
+  return {
+    type: 'serial',
+    spawn: (socket, credentials) => openSerialConsole(socket, credentials),
+  };
+}
+
+/**
+ * GET /ports → { ports[{ path, manufacturer?, serialNumber?, vendorId?, productId? }] }
+ */
+function createSerialRoutes() {
+  const router = express.Router();
+
+  router.get('/ports', async (_req, res) => {
+    if (!SerialPort) {
+      res.json({ ports: [] });
+      return;
+    }
+    try {
+      const ports = await SerialPort.list();
+      res.json({
+        ports: ports.map(({ path, manufacturer, serialNumber, vendorId, productId }) => ({
+          path, manufacturer, serialNumber, vendorId, productId,
+        })),
+      });
+    } catch (err) {
+      console.error(`[serial] list failed: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  isSerialAvailable,
+  openSerialConsole,
+  createSerialBackend,
+  createSerialRoutes,
+};
@@ -4,7 +4,15 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { createGeminiRoutes, createClaudeRoutes, setupSshHandler, setupShareRelay } = require('@juni/shared-server');
+const {
+  createGeminiRoutes,
+  createClaudeRoutes,
+  createSftpRoutes,
+  createSshConfigRoutes,
+  createBackendRoutes,
+  setupSshHandler,
+  setupShareRelay,
+} = require('@juni/shared-server');
 
 const DEFAULT_PROJECT = process.env.GCP_PROJECT_ID || '';
 const DEFAULT_LOCATION = process.env.GCP_LOCATION || 'us-central1';
@@ -44,7 +52,41 @@ app.use('/api/claude', createClaudeRoutes({
   getAnthropicKey: () => process.env.ANTHROPIC_API_KEY || '',
 }));
 
-setupSshHandler(io);
+app.use('/api/sftp', createSftpRoutes());
+
+// Hosts from the server's OpenSSH config authenticate with the server's own keys — off unless explicitly enabled
+const SSH_CONFIG = {
+  enabled: process.env.SSH_CONFIG_ENABLED === 'true',
+  path: process.env.SSH_CONFIG_PATH || undefined,
+};
+if (SSH_CONFIG.enabled) app.use('/api/ssh', createSshConfigRoutes({ configPath: SSH_CONFIG.path }));
+
+// Terminals that run on the server host itself — each off unless explicitly enabled
+const TERMINAL_BACKENDS = {
+  localShell: {
+    enabled: process.env.LOCAL_SHELL_ENABLED === 'true',
+    shells: (process.env.LOCAL_SHELLS || '').split(',').map((s) => s.trim()).filter(Boolean),
+  },
+  docker: {
+    enabled: process.env.DOCKER_EXEC_ENABLED === 'true',
+    socketPath: process.env.DOCKER_SOCKET_PATH || undefined,
+  },
+  kubectl: {
+    enabled: process.env.KUBECTL_EXEC_ENABLED === 'true',
+    path: process.env.KUBECTL_PATH || undefined,
+  },
+  // Telnet and raw TCP let clients reach any host:port from the server's network
+  telnet: { enabled: process.env.TELNET_ENABLED === 'true' },
+  tcp: { enabled: process.env.TCP_ENABLED === 'true' },
+};
+app.use('/api/ssh', createBackendRoutes(TERMINAL_BACKENDS));
+
+setupSshHandler(io, {
+  knownHostsPath: process.env.KNOWN_HOSTS_PATH || undefined,
+  sshConfig: SSH_CONFIG,
+  ...TERMINAL_BACKENDS,
+  sessionGraceMs: process.env.SESSION_GRACE_SECONDS ? Number(process.env.SESSION_GRACE_SECONDS) * 1000 : undefined,
+});
 setupShareRelay(server);
 
 // Serve built client in production
@@ -5,7 +5,8 @@ const AGENT_TOOLS = [
         name: 'run_command',
         description:
           'Execute a shell command on the user\'s remote SSH terminal. ' +
-          'Use this to run any Linux/macOS command. The output of the command will be returned to you. ' +
+          'Use this to run any Linux/macOS command. The output of the command will be returned to you, ' +
+          'along with exit_code and duration_ms when the terminal has shell integration. ' +
           'Run one command at a time. For multi-step tasks, run commands sequentially and inspect output between each.',
         parameters: {
           type: 'OBJECT',
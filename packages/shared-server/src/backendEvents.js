@@ -0,0 +1,31 @@
+/**
+ * Data / exit listeners for a terminal backend handle.
+ *
+ * Every backend (SSH, local PTY, docker exec, kubectl exec…) returns a handle:
+ *   { write(data), resize(cols, rows), end(), onData(cb), onExit(cb), client? }
+ * Backends call `emitData` with terminal output and `emitExit` once when the
+ * process or connection is gone; handles expose `onData` / `onExit`.
+ */
+function createBackendEvents() {
+  const dataListeners = [];
+  const exitListeners = [];
+  let exited = false;
+
+  return {
+    onData: (cb) => { dataListeners.push(cb); },
+    onExit: (cb) => { exitListeners.push(cb); },
+    emitData: (data) => {
+      for (const cb of dataListeners) cb(data);
+    },
+    emitExit: (info = {}) => {
+      if (exited) return;
+      exited = true;
+      for (const cb of exitListeners) cb(info);
+    },
+    get exited() {
+      return exited;
+    },
+  };
+}
+
+module.exports = { createBackendEvents };
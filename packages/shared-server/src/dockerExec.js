@@ -0,0 +1,177 @@
+const http = require('http');
+const { StringDecoder } = require('string_decoder');
+const { createBackendEvents } = require('./backendEvents');
+
+const DEFAULT_DOCKER_SOCKET = process.platform === 'win32' ? '//./pipe/docker_engine' : '/var/run/docker.sock';
+// Prefer bash when the image has it, like `docker exec -it <c> bash || sh`
+const DEFAULT_EXEC_COMMAND = ['/bin/sh', '-c', 'command -v bash >/dev/null 2>&1 && exec bash || exec sh'];
+const CONTAINER_RE = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+/* ── Docker Engine API ────────────────────────────────────── */
+
+function dockerRequest(socketPath, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request({
+      socketPath,
+      method,
+      path,
+      headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {},
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try { json = text ? JSON.parse(text) : null; } catch { /* plain-text error body */ }
+        if (res.statusCode >= 400) {
+          reject(new Error(json?.message || text.trim() || `Docker API error ${res.statusCode}`));
+        } else {
+          resolve(json);
+        }
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+// POST /exec/{id}/start with an Upgrade header hands back the raw TTY stream
+function startExec(socketPath, execId) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify({ Detach: false, Tty: true });
+    const req = http.request({
+      socketPath,
+      method: 'POST',
+      path: `/exec/${execId}/start`,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        Connection: 'Upgrade',
+        Upgrade: 'tcp',
+      },
+    });
+    req.on('upgrade', (_res, stream, head) => {
+      if (head?.length) stream.unshift(head);
+      resolve(stream);
+    });
+    req.on('response', (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => reject(new Error(text.trim() || `Docker API error ${res.statusCode}`)));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/* ── Backend ──────────────────────────────────────────────── */
+
+/**
+ * Open a TTY exec session in a running container through the Docker Engine API
+ * on `socketPath` (the local Docker socket by default).
+ *
+ * credentials: { type: 'docker', container, user?, command?[] }
+ * Emits `ssh:status` / `ssh:error` like an SSH session and returns a backend handle.
+ */
+function openDockerExec(socket, credentials, { size = { rows: 24, cols: 80 }, socketPath = DEFAULT_DOCKER_SOCKET } = {}) {
+  const { container, user, command } = credentials;
+  if (!container || !CONTAINER_RE.test(container)) {
+    socket.emit('ssh:error', { message: 'Enter a container name or ID' });
+    return null;
+  }
+
+  const events = createBackendEvents();
+  let pendingSize = size;
+  let execId = null;
+  let stream = null;
+  let ended = false;
+
+  const resizeExec = () => {
+    if (!execId) return;
+    const { rows, cols } = pendingSize;
+    dockerRequest(socketPath, 'POST', `/exec/${execId}/resize?h=${rows}&w=${cols}`).catch(() => {});
+  };
+
+  const fail = (err) => {
+    console.error(`[docker] ${container}: ${err.message}`);
+    socket.emit('ssh:error', { message: err.message });
+    events.emitExit();
+  };
+
+  console.log(`[docker] exec into ${container}`);
+
+  dockerRequest(socketPath, 'POST', `/containers/${encodeURIComponent(container)}/exec`, {
+    AttachStdin: true,
+    AttachStdout: true,
+    AttachStderr: true,
+    Tty: true,
+    Env: ['TERM=xterm-256color'],
+    Cmd: Array.isArray(command) && command.length ? command : DEFAULT_EXEC_COMMAND,
+    ...(user ? { User: user } : {}),
+  })
+    .then(({ Id }) => {
+      execId = Id;
+      socket.emit('ssh:status', { status: 'authenticated' });
+      return startExec(socketPath, execId);
+    })
+    .then((execStream) => {
+      if (ended) {
+        execStream.destroy();
+        return;
+      }
+      stream = execStream;
+      socket.emit('ssh:status', { status: 'ready' });
+      resizeExec();
+
+      // Characters can straddle chunks; the decoder holds partial ones back
+      const decoder = new StringDecoder('utf-8');
+      stream.on('data', (data) => {
+        const text = decoder.write(data);
+        if (text) events.emitData(text);
+      });
+      stream.on('error', () => {});
+      stream.on('close', () => {
+        dockerRequest(socketPath, 'GET', `/exec/${execId}/json`)
+          .then((info) => info?.ExitCode ?? undefined, () => undefined)
+          .then((exitCode) => {
+            console.log(`[docker] exec in ${container} ended  code=${exitCode}`);
+            events.emitExit({ exitCode });
+          });
+      });
+    })
+    .catch(fail);
+
+  return {
+    client: null,
+    write(data) {
+      if (stream) stream.write(data);
+    },
+    resize(cols, rows) {
+      pendingSize = { rows, cols };
+      if (stream) resizeExec();
+    },
+    end() {
+      ended = true;
+      if (stream) stream.destroy();
+    },
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/** `docker exec` terminal backend (`credentials.type` 'docker'). */
+function createDockerBackend({ socketPath } = {}) {
+  return {
+    type: 'docker',
+    spawn: (socket, credentials, { size }) => openDockerExec(socket, credentials, { size, socketPath }),
+  };
+}
+
+module.exports = {
+  DEFAULT_DOCKER_SOCKET,
+  DEFAULT_EXEC_COMMAND,
+  openDockerExec,
+  createDockerBackend,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_KNOWN_HOSTS_PATH = path.join(os.homedir(), '.juni-cli', 'known_hosts.json');
+const HOSTKEY_PROMPT_TIMEOUT_MS = 2 * 60 * 1000; // how long the user has to accept a new key
+
+/**
+ * OpenSSH-style fingerprint: "SHA256:" + unpadded base64 of the key digest.
+ */
+function fingerprintKey(key) {
+  const digest = crypto.createHash('sha256').update(key).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * The first field of an SSH wire-format public key is its algorithm name
+ * (e.g. "ssh-ed25519"), length-prefixed as a uint32.
+ */
+function getKeyType(key) {
+  try {
+    const len = key.readUInt32BE(0);
+    return key.subarray(4, 4 + len).toString('ascii');
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * JSON-backed known_hosts store keyed by "host:port".
+ * Entries: { keyType, key (base64), fingerprint, addedAt }
+ */
+function createHostKeyStore(filePath = DEFAULT_KNOWN_HOSTS_PATH) {
+  let entries = null;
+
+  const load = () => {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf-8')) || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[hostkeys] failed to read ${filePath}: ${err.message}`);
+      }
+      entries = {};
+    }
+    return entries;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+  };
+
+  return {
+    filePath,
+    get(host, port) {
+      return load()[`${host}:${port}`] || null;
+    },
+    set(host, port, key) {
+      load()[`${host}:${port}`] = {
+        keyType: getKeyType(key),
+        key: key.toString('base64'),
+        fingerprint: fingerprintKey(key),
+        addedAt: new Date().toISOString(),
+      };
+      save();
+    },
+    remove(host, port) {
+      delete load()[`${host}:${port}`];
+      save();
+    },
+  };
+}
+
+/**
+ * Build an ssh2 `hostVerifier` that checks the presented key against the store.
+ *
+ * - Known host, same key → accept silently.
+ * - Known host, different key → emit `ssh:hostkey` { status: 'changed' } and refuse.
+ * - Unknown host → emit `ssh:hostkey` { status: 'unknown' } and wait for the
+ *   client to acknowledge with { accept: true } before trusting (and storing) it.
+ *
+ * `onReject(message)` is called with a human-readable reason when the key is refused,
+ * so the caller can report it instead of ssh2's generic handshake error.
+ */
+function createHostVerifier({ store, socket, host, port, onReject }) {
+  return (key, verify) => {
+    const info = {
+      host,
+      port,
+      keyType: getKeyType(key),
+      fingerprint: fingerprintKey(key),
+    };
+    const known = store.get(host, port);
+
+    if (known) {
+      if (known.key === key.toString('base64')) {
+        verify(true);
+        return;
+      }
+      console.error(`[hostkeys] HOST KEY CHANGED for ${host}:${port} (expected ${known.fingerprint}, got ${info.fingerprint})`);
+      socket.emit('ssh:hostkey', {
+        ...info,
+        status: 'changed',
+        expectedKeyType: known.keyType,
+        expectedFingerprint: known.fingerprint,
+      });
+      onReject(`Host key for ${host}:${port} has changed. Refusing to connect — this may be a man-in-the-middle attack.`);
+      verify(false);
+      return;
+    }
+
+    let settled = false;
+    const settle = (accepted) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (accepted) {
+        try {
+          store.set(host, port, key);
+          console.log(`[hostkeys] trusted ${host}:${port} ${info.fingerprint}`);
+        } catch (err) {
+          console.error(`[hostkeys] failed to save key for ${host}:${port}: ${err.message}`);
+        }
+      } else {
+        onReject(`Host key for ${host}:${port} was not accepted.`);
+      }
+      verify(accepted);
+    };
+
+    const timer = setTimeout(() => settle(false), HOSTKEY_PROMPT_TIMEOUT_MS);
+    socket.emit('ssh:hostkey', { ...info, status: 'unknown' }, (answer) => {
+      settle(!!answer?.accept);
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_KNOWN_HOSTS_PATH,
+  HOSTKEY_PROMPT_TIMEOUT_MS,
+  fingerprintKey,
+  createHostKeyStore,
+  createHostVerifier,
+};
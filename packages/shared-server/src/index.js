@@ -2,6 +2,18 @@ const { createGeminiRoutes } = require('./geminiRoutes');
 const { createClaudeRoutes } = require('./claudeRoutes');
 const { setupSshHandler } = require('./sshHandler');
 const { setupShareRelay } = require('./shareRelay');
+const { createHostKeyStore, createHostVerifier, HOSTKEY_PROMPT_TIMEOUT_MS } = require('./hostKeys');
+const { openSshSession, createSshBackend } = require('./sshSession');
+const { attachSftpHandlers, createSftpRoutes } = require('./sftpHandler');
+const { attachForwardHandlers } = require('./portForwards');
+const { DEFAULT_SSH_CONFIG_PATH, loadSshConfig, applySshConfig, createSshConfigRoutes } = require('./sshConfig');
+const { isLocalShellAvailable, openLocalShell, createLocalBackend } = require('./localShell');
+const { openDockerExec, createDockerBackend } = require('./dockerExec');
+const { openKubectlExec, createKubectlBackend } = require('./kubectlExec');
+const { openTelnetSession, openTcpSession, createTelnetBackend, createTcpBackend } = require('./telnetSession');
+const { createBackendDispatcher, describeBackends, createBackendRoutes } = require('./terminalBackends');
+const { createBackendEvents } = require('./backendEvents');
+const { DEFAULT_SESSION_GRACE_MS, createSessionRegistry, attachSessionHandlers } = require('./sessionRegistry');
 const { AGENT_TOOLS, AGENT_SYSTEM_PROMPT } = require('./agentTools');
 const { getVertexClient, getGeminiClient, GENAI_MODELS } = require('./vertexClient');
 
@@ -10,6 +22,36 @@ module.exports = {
   createClaudeRoutes,
   setupSshHandler,
   setupShareRelay,
+  createHostKeyStore,
+  createHostVerifier,
+  HOSTKEY_PROMPT_TIMEOUT_MS,
+  openSshSession,
+  createSshBackend,
+  attachSftpHandlers,
+  createSftpRoutes,
+  attachForwardHandlers,
+  DEFAULT_SSH_CONFIG_PATH,
+  loadSshConfig,
+  applySshConfig,
+  createSshConfigRoutes,
+  isLocalShellAvailable,
+  openLocalShell,
+  createLocalBackend,
+  openDockerExec,
+  createDockerBackend,
+  openKubectlExec,
+  createKubectlBackend,
+  openTelnetSession,
+  openTcpSession,
+  createTelnetBackend,
+  createTcpBackend,
+  createBackendDispatcher,
+  describeBackends,
+  createBackendRoutes,
+  createBackendEvents,
+  DEFAULT_SESSION_GRACE_MS,
+  createSessionRegistry,
+  attachSessionHandlers,
   AGENT_TOOLS,
   AGENT_SYSTEM_PROMPT,
   getVertexClient,
@@ -0,0 +1,58 @@
+const { spawnPty } = require('./localShell');
+const { DEFAULT_EXEC_COMMAND } = require('./dockerExec');
+
+// Kubernetes object names (DNS-1123); also keeps values from being read as kubectl flags
+const K8S_NAME_RE = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+
+/**
+ * Open `kubectl exec -it` into a pod, run in a local PTY so kubectl forwards
+ * resizes and raw keystrokes. `kubectlPath` points at the kubectl binary
+ * (any stand-in with the same arguments works).
+ *
+ * credentials: { type: 'kubectl', pod, namespace?, container?, context?, command?[] }
+ * Emits `ssh:status` / `ssh:error` like an SSH session and returns a backend handle.
+ */
+function openKubectlExec(socket, credentials, { size, kubectlPath = 'kubectl' } = {}) {
+  const { pod, namespace, container, context, command } = credentials;
+  const invalid = [['pod', pod], ['namespace', namespace], ['container', container]]
+    .find(([field, value]) => (field === 'pod' || value) && !K8S_NAME_RE.test(value || ''));
+  if (invalid) {
+    socket.emit('ssh:error', { message: `Invalid ${invalid[0]} name` });
+    return null;
+  }
+
+  const args = [
+    'exec', '-i', '-t',
+    ...(context ? [`--context=${context}`] : []),
+    ...(namespace ? [`--namespace=${namespace}`] : []),
+    pod,
+    ...(container ? [`--container=${container}`] : []),
+    '--',
+    ...(Array.isArray(command) && command.length ? command : DEFAULT_EXEC_COMMAND),
+  ];
+
+  console.log(`[kubectl] exec into ${namespace ? `${namespace}/` : ''}${pod}${container ? ` (${container})` : ''}`);
+
+  let handle;
+  try {
+    handle = spawnPty(kubectlPath, args, { size, tag: 'kubectl' });
+  } catch (err) {
+    console.error(`[kubectl] failed to start ${kubectlPath}: ${err.message}`);
+    socket.emit('ssh:error', { message: `Failed to start kubectl: ${err.message}` });
+    return null;
+  }
+
+  socket.emit('ssh:status', { status: 'authenticated' });
+  socket.emit('ssh:status', { status: 'ready' });
+  return handle;
+}
+
+/** `kubectl exec` terminal backend (`credentials.type` 'kubectl'). */
+function createKubectlBackend({ kubectlPath } = {}) {
+  return {
+    type: 'kubectl',
+    spawn: (socket, credentials, { size }) => openKubectlExec(socket, credentials, { size, kubectlPath }),
+  };
+}
+
+module.exports = { openKubectlExec, createKubectlBackend };
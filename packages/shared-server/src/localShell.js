@@ -0,0 +1,155 @@
+const os = require('os');
+const { createBackendEvents } = require('./backendEvents');
+const { localShellIntegration } = require('./shellIntegration');
+
+let pty; // loaded on first use so deployments without local shells never need node-pty
+
+function loadPty() {
+  if (pty === undefined) {
+    try {
+      pty = require('node-pty');
+    } catch (err) {
+      console.warn('[local] node-pty not available:', err.message.split('\n')[0]);
+      pty = null;
+    }
+  }
+  return pty;
+}
+
+function defaultShell() {
+  if (process.platform === 'win32') return process.env.COMSPEC || 'powershell.exe';
+  return process.env.SHELL || (process.platform === 'darwin' ? '/bin/zsh' : '/bin/bash');
+}
+
+/** Whether PTY processes can be spawned at all (node-pty loaded). */
+function isLocalShellAvailable() {
+  return !!loadPty();
+}
+
+/** The shells a client may pick from: the allowlist, or just the default login shell. */
+function listShells(allowedShells) {
+  return allowedShells?.length ? allowedShells : [defaultShell()];
+}
+
+/**
+ * Pick the shell to run: the requested one if it is allowlisted, or the first
+ * allowlisted shell when none is requested.
+ * Returns null when the request names a shell outside the allowlist.
+ */
+function resolveShell(requested, allowedShells) {
+  const allowed = listShells(allowedShells);
+  if (!requested) return allowed[0];
+  return allowed.includes(requested) ? requested : null;
+}
+
+/**
+ * Run `file args` in a PTY on this machine and wrap it as a backend handle
+ * { client: null, write, resize, end, onData, onExit }.
+ * Throws if node-pty is missing or the process cannot be started.
+ */
+function spawnPty(file, args, { size = { rows: 24, cols: 80 }, tag = 'local', env } = {}) {
+  if (!loadPty()) throw new Error('node-pty is not available');
+
+  const homeDir = os.homedir();
+  const ptyProcess = pty.spawn(file, args, {
+    name: 'xterm-256color',
+    cols: size.cols,
+    rows: size.rows,
+    cwd: homeDir,
+    env: {
+      ...process.env,
+      TERM: 'xterm-256color',
+      HOME: homeDir,
+      LANG: process.env.LANG || 'en_US.UTF-8',
+      ...env,
+    },
+  });
+  const events = createBackendEvents();
+
+  ptyProcess.onData(events.emitData);
+
+  ptyProcess.onExit(({ exitCode, signal }) => {
+    console.log(`[${tag}] process exited  code=${exitCode} signal=${signal}`);
+    events.emitExit({ exitCode, signal });
+  });
+
+  return {
+    client: null,
+    write: (data) => ptyProcess.write(data),
+    resize: (cols, rows) => ptyProcess.resize(cols, rows),
+    end: () => {
+      if (!events.exited) ptyProcess.kill();
+    },
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/**
+ * Spawn a login shell on this machine in a PTY.
+ * Emits `ssh:status` / `ssh:error` like an SSH session and returns a backend
+ * handle, or null if it could not start.
+ * bash, zsh and fish get OSC 133 shell integration unless `shellIntegration` is false.
+ */
+function openLocalShell(socket, { size, shell, allowedShells, shellIntegration = true } = {}) {
+  if (!loadPty()) {
+    socket.emit('ssh:error', { message: 'node-pty is not available. Cannot open local terminal.' });
+    return null;
+  }
+
+  const shellPath = resolveShell(shell, allowedShells);
+  if (!shellPath) {
+    console.warn(`[local] refused shell ${shell} (not in allowlist)`);
+    socket.emit('ssh:error', { message: `Shell ${shell} is not allowed on this server` });
+    return null;
+  }
+
+  console.log(`[local] spawning ${shellPath}`);
+  socket.emit('ssh:status', { status: 'authenticated' });
+
+  let args = process.platform === 'win32' ? [] : ['-l'];
+  let env;
+  if (shellIntegration && process.platform !== 'win32') {
+    try {
+      const integration = localShellIntegration(shellPath, args);
+      if (integration) ({ args, env } = integration);
+    } catch (err) {
+      console.warn(`[local] shell integration unavailable: ${err.message}`);
+    }
+  }
+
+  let handle;
+  try {
+    handle = spawnPty(shellPath, args, { size, env });
+  } catch (err) {
+    console.error(`[local] failed to spawn ${shellPath}: ${err.message}`);
+    socket.emit('ssh:error', { message: `Failed to start ${shellPath}: ${err.message}` });
+    return null;
+  }
+
+  socket.emit('ssh:status', { status: 'ready' });
+  return handle;
+}
+
+/** Local PTY terminal backend (`credentials.type` 'local'), limited to `shells`. */
+function createLocalBackend({ shells } = {}) {
+  return {
+    type: 'local',
+    spawn: (socket, credentials, { size }) => (
+      openLocalShell(socket, {
+        size,
+        shell: credentials.shell,
+        allowedShells: shells,
+        shellIntegration: credentials.shellIntegration !== false,
+      })
+    ),
+  };
+}
+
+module.exports = {
+  isLocalShellAvailable,
+  listShells,
+  spawnPty,
+  openLocalShell,
+  createLocalBackend,
+};
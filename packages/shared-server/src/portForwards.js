@@ -0,0 +1,241 @@
+const net = require('net');
+
+const UPDATE_INTERVAL_MS = 1000;
+
+/**
+ * The `ssh -L` / `ssh -R` style tunnels of one terminal session. They belong to the
+ * session, not to a socket: a reloaded page that reattaches finds them still running,
+ * and they are closed when the session ends.
+ *
+ * Local forwards listen on the juni server host and tunnel each connection through
+ * `forwardOut`; remote forwards ask the SSH server to listen (`forwardIn`) and connect
+ * accepted channels to destHost:destPort from the juni server host.
+ *
+ * The full list (with byte counters and errors) is pushed on the session's `channel`
+ * as `forward:update` whenever it changes, at most once per second.
+ * Returns { create(client, args), list(), close(id), resend(), dispose() }.
+ */
+function createSessionForwards(channel) {
+  const forwards = new Map(); // id → { info, server?, sockets:Set }
+  let nextId = 1;
+  let dirty = false;
+  let boundClient = null;
+
+  const snapshot = () => [...forwards.values()].map((f) => ({ ...f.info }));
+
+  const markDirty = () => { dirty = true; };
+
+  const resend = () => {
+    dirty = false;
+    channel.emit('forward:update', { forwards: snapshot() });
+  };
+
+  const updateTimer = setInterval(() => {
+    if (dirty) resend();
+  }, UPDATE_INTERVAL_MS);
+
+  const setStatus = (fwd, status, error) => {
+    fwd.info.status = status;
+    fwd.info.error = error || null;
+    markDirty();
+  };
+
+  const pipeCounted = (fwd, local, remote) => {
+    fwd.info.connections += 1;
+    fwd.info.totalConnections += 1;
+    fwd.sockets.add(local);
+    markDirty();
+
+    local.on('data', (chunk) => { fwd.info.bytesOut += chunk.length; markDirty(); });
+    remote.on('data', (chunk) => { fwd.info.bytesIn += chunk.length; markDirty(); });
+    local.pipe(remote).pipe(local);
+
+    const done = () => {
+      if (!fwd.sockets.delete(local)) return;
+      fwd.info.connections -= 1;
+      markDirty();
+      local.destroy();
+      remote.destroy();
+    };
+    local.on('close', done);
+    local.on('error', done);
+    remote.on('close', done);
+    remote.on('error', done);
+  };
+
+  const closeForward = (fwd, status = 'closed') => {
+    if (fwd.server) fwd.server.close();
+    for (const s of fwd.sockets) s.destroy();
+    fwd.sockets.clear();
+    if (fwd.info.type === 'remote' && fwd.info.status === 'active' && boundClient) {
+      try {
+        boundClient.unforwardIn(fwd.info.bindHost, fwd.info.bindPort, () => {});
+      } catch {
+        // SSH transport already gone
+      }
+    }
+    if (fwd.info.status !== 'error') setStatus(fwd, status);
+  };
+
+  // Remote forwards share one 'tcp connection' listener per SSH client. The server
+  // reports the address the forward was requested on, so match on address and port.
+  const bindClient = (client) => {
+    if (boundClient === client) return;
+    boundClient = client;
+
+    client.on('tcp connection', (info, accept, reject) => {
+      const fwd = [...forwards.values()].find((f) => f.info.type === 'remote'
+        && f.info.status === 'active'
+        && f.info.bindHost === info.destIP
+        && f.info.bindPort === info.destPort);
+      if (!fwd) {
+        reject();
+        return;
+      }
+      let accepted = false;
+      const local = net.connect(fwd.info.destPort, fwd.info.destHost, () => {
+        accepted = true;
+        pipeCounted(fwd, local, accept());
+      });
+      local.on('error', (err) => {
+        if (accepted) return;
+        fwd.info.error = `${fwd.info.destHost}:${fwd.info.destPort}: ${err.message}`;
+        markDirty();
+        reject();
+      });
+    });
+
+    client.on('close', () => {
+      if (boundClient !== client) return;
+      boundClient = null;
+      for (const fwd of forwards.values()) closeForward(fwd);
+    });
+  };
+
+  const startLocal = (fwd, client) => {
+    const { bindHost, bindPort, destHost, destPort } = fwd.info;
+    fwd.server = net.createServer((local) => {
+      local.pause();
+      client.forwardOut(local.remoteAddress || '127.0.0.1', local.remotePort || 0, destHost, destPort, (err, channel) => {
+        if (err) {
+          fwd.info.error = `${destHost}:${destPort}: ${err.message}`;
+          markDirty();
+          local.destroy();
+          return;
+        }
+        pipeCounted(fwd, local, channel);
+        local.resume();
+      });
+    });
+    return new Promise((resolve, reject) => {
+      fwd.server.once('error', reject);
+      fwd.server.listen(bindPort, bindHost, () => {
+        fwd.server.removeListener('error', reject);
+        fwd.server.on('error', (err) => setStatus(fwd, 'error', err.message));
+        fwd.info.bindPort = fwd.server.address().port;
+        resolve();
+      });
+    });
+  };
+
+  const startRemote = (fwd, client) => new Promise((resolve, reject) => {
+    client.forwardIn(fwd.info.bindHost, fwd.info.bindPort, (err, port) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (port) fwd.info.bindPort = port;
+      resolve();
+    });
+  });
+
+  const create = async (client, args) => {
+    const type = args?.type === 'remote' ? 'remote' : 'local';
+    const destPort = Number(args?.destPort);
+    if (!destPort) return { error: 'Destination port is required' };
+
+    const fwd = {
+      info: {
+        id: nextId++,
+        type,
+        bindHost: args.bindHost || (type === 'local' ? '127.0.0.1' : 'localhost'),
+        bindPort: Number(args.bindPort) || 0,
+        destHost: args.destHost || (type === 'local' ? 'localhost' : '127.0.0.1'),
+        destPort,
+        status: 'starting',
+        error: null,
+        connections: 0,
+        totalConnections: 0,
+        bytesIn: 0,
+        bytesOut: 0,
+      },
+      server: null,
+      sockets: new Set(),
+    };
+    forwards.set(fwd.info.id, fwd);
+    bindClient(client);
+
+    try {
+      await (type === 'local' ? startLocal(fwd, client) : startRemote(fwd, client));
+      setStatus(fwd, 'active');
+      console.log(`[forward] ${type} ${fwd.info.bindHost}:${fwd.info.bindPort} → ${fwd.info.destHost}:${fwd.info.destPort}`);
+      return { forward: { ...fwd.info } };
+    } catch (err) {
+      console.error(`[forward] ${type} forward failed: ${err.message}`);
+      setStatus(fwd, 'error', err.message);
+      return { error: err.message };
+    }
+  };
+
+  const close = (id) => {
+    const fwd = forwards.get(id);
+    if (!fwd) return false;
+    closeForward(fwd);
+    forwards.delete(id);
+    markDirty();
+    return true;
+  };
+
+  const dispose = () => {
+    clearInterval(updateTimer);
+    for (const fwd of forwards.values()) closeForward(fwd);
+    forwards.clear();
+  };
+
+  return { create, list: snapshot, close, resend, dispose };
+}
+
+/**
+ * Register `forward:*` socket events for the session returned by `getSession()`:
+ *
+ *   forward:create { type: 'local'|'remote', bindHost, bindPort, destHost, destPort } → { forward }
+ *   forward:list   {}                                                                → { forwards[] }
+ *   forward:close  { id }                                                            → { ok }
+ *
+ * The session's forwards are created on first use as `session.forwards`; the session
+ * registry resends them on `ssh:attach` and disposes of them when the session ends.
+ */
+function attachForwardHandlers(socket, getSession) {
+  socket.on('forward:create', async (args, ack) => {
+    if (typeof ack !== 'function') return;
+    const session = getSession();
+    const client = session?.backend?.client;
+    if (!client) {
+      ack({ error: 'SSH session is not connected' });
+      return;
+    }
+    if (!session.forwards) session.forwards = createSessionForwards(session.channel);
+    ack(await session.forwards.create(client, args));
+  });
+
+  socket.on('forward:list', (_args, ack) => {
+    if (typeof ack === 'function') ack({ forwards: getSession()?.forwards?.list() || [] });
+  });
+
+  socket.on('forward:close', ({ id } = {}, ack) => {
+    const closed = !!getSession()?.forwards?.close(id);
+    if (typeof ack === 'function') ack({ ok: closed });
+  });
+}
+
+module.exports = { attachForwardHandlers };
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_GRACE_MS = 5 * 60 * 1000; // keep detached sessions alive this long
+const OUTPUT_BUFFER_BYTES = 256 * 1024; // recent output replayed on ssh:attach
+
+/**
+ * Terminal sessions that outlive the socket that created them.
+ *
+ * A backend (SSH shell, local PTY…) never talks to a socket directly: it gets the
+ * session's `channel`, a socket-like emitter that forwards to whichever socket is
+ * currently attached and records `ssh:output` into a bounded replay buffer.
+ * When the socket goes away the session is kept for `graceMs`, so a reloaded page
+ * can reattach with `ssh:attach`. The session's port forwards live and end with it.
+ */
+function createSessionRegistry({ graceMs = DEFAULT_SESSION_GRACE_MS, bufferBytes = OUTPUT_BUFFER_BYTES } = {}) {
+  const sessions = new Map();
+
+  const remove = (session) => {
+    clearTimeout(session.graceTimer);
+    sessions.delete(session.id);
+    if (session.forwards) {
+      session.forwards.dispose();
+      session.forwards = null;
+    }
+  };
+
+  const record = (session, data) => {
+    session.chunks.push(data);
+    session.bufferedBytes += Buffer.byteLength(data);
+    while (session.bufferedBytes > bufferBytes && session.chunks.length > 1) {
+      session.bufferedBytes -= Buffer.byteLength(session.chunks.shift());
+    }
+  };
+
+  const create = (socket) => {
+    const session = {
+      id: crypto.randomBytes(16).toString('base64url'),
+      socket,
+      backend: null,
+      forwards: null, // port forwards, see portForwards.js
+      status: 'connecting',
+      chunks: [],
+      bufferedBytes: 0,
+      graceTimer: null,
+    };
+
+    session.channel = {
+      emit(event, ...args) {
+        if (event === 'ssh:output') record(session, args[0]);
+        if (event === 'ssh:status') {
+          session.status = args[0].status;
+          if (session.status === 'disconnected') remove(session);
+        }
+        if (session.socket) session.socket.emit(event, ...args);
+      },
+      // Prompts need an answer from a live client; while detached they fail right away
+      timeout(ms) {
+        return {
+          emit(event, args, ack) {
+            if (session.socket) session.socket.timeout(ms).emit(event, args, ack);
+            else ack(new Error('No client attached'));
+          },
+        };
+      },
+    };
+
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  const attach = (id, socket) => {
+    const session = sessions.get(id);
+    if (!session) return null;
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+    // A second window restoring the same tab takes the session over; the first one is told
+    if (session.socket && session.socket !== socket) {
+      session.socket.emit('ssh:status', { status: 'detached' });
+      console.log(`[session] ${id} taken over from socket=${session.socket.id}`);
+    }
+    session.socket = socket;
+    console.log(`[session] ${id} attached  socket=${socket.id}`);
+    return session;
+  };
+
+  const detach = (session, socket) => {
+    if (session.socket !== socket || !sessions.has(session.id)) return;
+    session.socket = null;
+    console.log(`[session] ${session.id} detached, kept for ${Math.round(graceMs / 1000)}s`);
+    session.graceTimer = setTimeout(() => {
+      console.log(`[session] ${session.id} grace period expired`);
+      end(session);
+    }, graceMs);
+  };
+
+  const end = (session) => {
+    remove(session);
+    if (session.backend) session.backend.end();
+  };
+
+  return {
+    graceMs,
+    create,
+    attach,
+    detach,
+    end,
+    replay: (session) => session.chunks.join(''),
+  };
+}
+
+/**
+ * Register the terminal session events for one socket:
+ *
+ *   ssh:connect  credentials          → starts a backend, emits ssh:session { id, graceMs }
+ *   ssh:attach   { sessionId } (ack)  → { ok, status, output } | { error }
+ *   ssh:data / ssh:resize             → forwarded to the attached session
+ *   ssh:end                           → ends the session now instead of after the grace period
+ *
+ * When another socket attaches the session, this one gets `ssh:status` `detached`
+ * and its later events no longer reach the session.
+ *
+ * `openBackend(channel, credentials, size)` returns a handle
+ * { write, resize, end, client? } or null if it could not start.
+ * Returns getters for the attached session and its ssh2 client (for forwards / SFTP):
+ * { getSession, getClient }.
+ */
+function attachSessionHandlers(socket, registry, openBackend) {
+  let session = null;
+  let pendingSize = { rows: 24, cols: 80 };
+
+  // The session this socket still owns, dropping it once another socket has taken it over
+  const current = () => {
+    if (session && session.socket !== socket) session = null;
+    return session;
+  };
+
+  socket.on('ssh:connect', (credentials) => {
+    if (current()) registry.end(session);
+    session = registry.create(socket);
+    socket.emit('ssh:session', { id: session.id, graceMs: registry.graceMs });
+    session.backend = openBackend(session.channel, credentials, pendingSize);
+    if (!session.backend) {
+      registry.end(session);
+      session = null;
+    }
+  });
+
+  socket.on('ssh:attach', ({ sessionId } = {}, ack) => {
+    const attached = registry.attach(sessionId, socket);
+    if (!attached) {
+      if (typeof ack === 'function') ack({ error: 'Session is no longer available' });
+      return;
+    }
+    if (session && session !== attached) registry.detach(session, socket);
+    session = attached;
+    if (typeof ack === 'function') {
+      ack({ ok: true, status: attached.status, output: registry.replay(attached) });
+    }
+    attached.forwards?.resend();
+  });
+
+  socket.on('ssh:data', (data) => {
+    if (current()?.backend) session.backend.write(data);
+  });
+
+  socket.on('ssh:resize', ({ cols, rows }) => {
+    pendingSize = { rows, cols };
+    if (current()?.backend) session.backend.resize(cols, rows);
+  });
+
+  socket.on('ssh:end', () => {
+    if (current()) registry.end(session);
+    session = null;
+  });
+
+  socket.on('disconnect', () => {
+    if (current()) registry.detach(session, socket);
+  });
+
+  return {
+    getSession: current,
+    getClient: () => current()?.backend?.client || null,
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION_GRACE_MS,
+  createSessionRegistry,
+  attachSessionHandlers,
+};
@@ -0,0 +1,197 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+
+const CHUNK_SIZE = 512 * 1024; // stays under socket.io's default 1 MB message limit
+
+// downloadKey → getSftp(), so plain HTTP downloads (drag-out, <a download>) can reuse a socket's SFTP channel
+const downloadKeys = new Map();
+
+function entryType(attrs) {
+  if (attrs.isDirectory()) return 'dir';
+  if (attrs.isSymbolicLink()) return 'link';
+  if (attrs.isFile()) return 'file';
+  return 'other';
+}
+
+function describeAttrs(attrs) {
+  return {
+    type: entryType(attrs),
+    size: attrs.size,
+    mode: attrs.mode,
+    mtime: attrs.mtime * 1000,
+  };
+}
+
+function call(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+/**
+ * Register `sftp:*` socket events for the SSH session returned by `getClient()`.
+ * The SFTP subsystem is opened lazily on first use and reopened if the SSH
+ * client changes (e.g. after a reconnect).
+ *
+ * Every event takes (args, ack) and acks either a result object or { error }.
+ *
+ *   sftp:list   { path }                    → { path, entries[], downloadKey }
+ *   sftp:stat   { path }                    → { path, stat }
+ *   sftp:read   { path, offset, length }    → { data, size, eof }
+ *   sftp:write  { path, data, offset }      → { written }   (offset 0 truncates)
+ *   sftp:rename { from, to }                → { ok }
+ *   sftp:delete { path }                    → { ok }        (files and empty dirs)
+ *   sftp:mkdir  { path }                    → { ok }
+ */
+function attachSftpHandlers(socket, getClient) {
+  let sftp = null;
+  let sftpClient = null;
+  let opening = null;
+  const downloadKey = crypto.randomBytes(16).toString('base64url');
+
+  const getSftp = () => {
+    const client = getClient();
+    if (!client) return Promise.reject(new Error('SSH session is not connected'));
+    if (sftp && sftpClient === client) return Promise.resolve(sftp);
+    if (opening && sftpClient === client) return opening;
+
+    sftpClient = client;
+    opening = new Promise((resolve, reject) => {
+      client.sftp((err, channel) => {
+        opening = null;
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('[sftp] subsystem opened');
+        sftp = channel;
+        channel.on('close', () => {
+          if (sftp === channel) sftp = null;
+        });
+        resolve(channel);
+      });
+    });
+    return opening;
+  };
+
+  downloadKeys.set(downloadKey, getSftp);
+
+  const handle = (event, fn) => {
+    socket.on(event, async (args, ack) => {
+      if (typeof ack !== 'function') return;
+      try {
+        ack(await fn(await getSftp(), args || {}));
+      } catch (err) {
+        console.error(`[sftp] ${event} failed: ${err.message}`);
+        ack({ error: err.message });
+      }
+    });
+  };
+
+  handle('sftp:list', async (channel, { path: dir = '.' }) => {
+    const resolved = await call(channel, 'realpath', dir);
+    const list = await call(channel, 'readdir', resolved);
+    const entries = list
+      .filter((e) => e.filename !== '.' && e.filename !== '..')
+      .map((e) => ({ name: e.filename, ...describeAttrs(e.attrs) }));
+    return { path: resolved, entries, downloadKey };
+  });
+
+  handle('sftp:stat', async (channel, { path: target }) => {
+    const attrs = await call(channel, 'stat', target);
+    return { path: target, stat: describeAttrs(attrs) };
+  });
+
+  handle('sftp:read', async (channel, { path: target, offset = 0, length = CHUNK_SIZE }) => {
+    const len = Math.min(Math.max(Number(length) || CHUNK_SIZE, 1), CHUNK_SIZE);
+    const fd = await call(channel, 'open', target, 'r');
+    try {
+      const { size } = await call(channel, 'fstat', fd);
+      const toRead = Math.max(Math.min(len, size - offset), 0);
+      const buf = Buffer.alloc(toRead);
+      let bytesRead = 0;
+      if (toRead > 0) {
+        bytesRead = await new Promise((resolve, reject) => {
+          channel.read(fd, buf, 0, toRead, offset, (err, n) => (err ? reject(err) : resolve(n)));
+        });
+      }
+      return { data: buf.subarray(0, bytesRead), size, eof: offset + bytesRead >= size };
+    } finally {
+      channel.close(fd, () => {});
+    }
+  });
+
+  handle('sftp:write', async (channel, { path: target, data, offset = 0 }) => {
+    const buf = Buffer.from(data || []);
+    const fd = await call(channel, 'open', target, offset === 0 ? 'w' : 'r+');
+    try {
+      if (buf.length > 0) await call(channel, 'write', fd, buf, 0, buf.length, offset);
+      return { written: buf.length };
+    } finally {
+      channel.close(fd, () => {});
+    }
+  });
+
+  handle('sftp:rename', async (channel, { from, to }) => {
+    await call(channel, 'rename', from, to);
+    return { ok: true };
+  });
+
+  handle('sftp:delete', async (channel, { path: target }) => {
+    const attrs = await call(channel, 'lstat', target);
+    await call(channel, attrs.isDirectory() ? 'rmdir' : 'unlink', target);
+    return { ok: true };
+  });
+
+  handle('sftp:mkdir', async (channel, { path: target }) => {
+    await call(channel, 'mkdir', target);
+    return { ok: true };
+  });
+
+  socket.on('disconnect', () => {
+    downloadKeys.delete(downloadKey);
+    if (sftp) sftp.end();
+    sftp = null;
+  });
+}
+
+/**
+ * HTTP download endpoint for files on a socket's SFTP session:
+ *   GET /download?key=<downloadKey>&path=<remote path>
+ */
+function createSftpRoutes() {
+  const router = express.Router();
+
+  router.get('/download', async (req, res) => {
+    const getSftp = downloadKeys.get(req.query.key);
+    const target = req.query.path;
+    if (!getSftp || !target) {
+      return res.status(404).json({ error: 'Unknown download key or path' });
+    }
+
+    try {
+      const channel = await getSftp();
+      const attrs = await call(channel, 'stat', target);
+      if (!attrs.isFile()) {
+        return res.status(400).json({ error: 'Not a regular file' });
+      }
+      const filename = path.posix.basename(target);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Length', attrs.size);
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      channel.createReadStream(target)
+        .on('error', (err) => {
+          console.error(`[sftp] download failed: ${err.message}`);
+          res.destroy(err);
+        })
+        .pipe(res);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { attachSftpHandlers, createSftpRoutes, SFTP_CHUNK_SIZE: CHUNK_SIZE };
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Shell integration: small rc snippets that mark each prompt and command with
+ * OSC 133 sequences (the FinalTerm / VS Code / iTerm2 convention):
+ *
+ *   ESC ] 133 ; A BEL       prompt starts
+ *   ESC ] 133 ; B BEL       prompt ends, the user's command line starts
+ *   ESC ] 133 ; C BEL       command line submitted, output starts
+ *   ESC ] 133 ; D ; n BEL   command finished with exit status n
+ *   ESC ] 7 ; file://host/dir BEL   current directory, reported right after every A
+ *
+ * The client turns these into per-command output ranges, exit codes and durations,
+ * and resolves relative `path:line` links against the reported directory.
+ * Every script is idempotent (guarded by __JUNI_SI) so sourcing it twice is harmless.
+ */
+
+/* ── Scripts ──────────────────────────────────────────── */
+
+// PS0 (bash ≥ 4.4) marks the start of output; older bashes still get prompts and exit codes
+const BASH_SCRIPT = String.raw`
+if [ -z "$__JUNI_SI" ] && [ -n "$PS1" ]; then
+  __JUNI_SI=1
+  __juni_si_status() {
+    local status=$?
+    printf '\033]133;D;%s\007\033]133;A\007\033]7;file://%s%s\007' "$status" "$HOSTNAME" "$PWD"
+    return $status
+  }
+  __juni_si_ps1() {
+    case "$PS1" in
+      *'133;B'*) ;;
+      *) PS1="$PS1"'\[\033]133;B\007\]' ;;
+    esac
+  }
+  PS0="$PS0"'\033]133;C\007'
+  PROMPT_COMMAND="__juni_si_status"$'\n'"$PROMPT_COMMAND"$'\n'"__juni_si_ps1"
+fi
+`;
+
+const ZSH_SCRIPT = String.raw`
+if [[ -z $__JUNI_SI && -o interactive ]]; then
+  __JUNI_SI=1
+  __juni_si_precmd() {
+    local st=$?
+    printf '\033]133;D;%s\007\033]133;A\007\033]7;file://%s%s\007' "$st" "$HOST" "$PWD"
+    [[ $PS1 == *'133;B'* ]] || PS1="$PS1"$'%{\e]133;B\a%}'
+  }
+  __juni_si_preexec() {
+    printf '\033]133;C\007'
+  }
+  precmd_functions=(__juni_si_precmd $precmd_functions)
+  preexec_functions+=(__juni_si_preexec)
+fi
+`;
+
+const FISH_SCRIPT = String.raw`
+if status is-interactive; and not set -q __JUNI_SI
+  set -g __JUNI_SI 1
+  function __juni_si_prompt_start --on-event fish_prompt
+    printf '\e]133;A\a\e]7;file://%s%s\a' $hostname $PWD
+  end
+  function __juni_si_preexec --on-event fish_preexec
+    printf '\e]133;C\a'
+  end
+  function __juni_si_postexec --on-event fish_postexec
+    printf '\e]133;D;%s\a' $status
+  end
+  functions -c fish_prompt __juni_si_user_prompt
+  function fish_prompt
+    __juni_si_user_prompt
+    printf '\e]133;B\a'
+  end
+end
+`;
+
+const SCRIPTS = { bash: BASH_SCRIPT, zsh: ZSH_SCRIPT, fish: FISH_SCRIPT };
+
+/** 'bash' | 'zsh' | 'fish' for a shell path (`/usr/bin/zsh`, `-bash`…), or null. */
+function shellKind(shellPath) {
+  const name = path.basename(String(shellPath || '').trim()).replace(/^-/, '');
+  return SCRIPTS[name] ? name : null;
+}
+
+/* ── Startup files ────────────────────────────────────── */
+
+// --rcfile only applies to non-login shells, so replay what `bash -l` would read
+function bashRcfile(scriptPath) {
+  return [
+    'if [ -f /etc/profile ]; then . /etc/profile; fi',
+    'for __juni_rc in ~/.bash_profile ~/.bash_login ~/.profile; do',
+    '  if [ -f "$__juni_rc" ]; then . "$__juni_rc"; break; fi',
+    'done',
+    'unset __juni_rc',
+    `. "${scriptPath}"`,
+    '',
+  ].join('\n');
+}
+
+// zsh reads its startup files from $ZDOTDIR (`dir`); chain each to the user's own.
+// .zshrc hands ZDOTDIR back, so .zlogin and child shells see the real one.
+function zshStartupFiles(dir) {
+  return {
+    '.zshenv': [
+      'ZDOTDIR="${JUNI_USER_ZDOTDIR:-$HOME}"',
+      '[[ -f "$ZDOTDIR/.zshenv" ]] && source "$ZDOTDIR/.zshenv"',
+      'JUNI_USER_ZDOTDIR="$ZDOTDIR"', // .zshenv may move it (e.g. ~/.config/zsh)
+      `ZDOTDIR="${dir}"`,
+      '',
+    ].join('\n'),
+    '.zprofile': [
+      '[[ -f "$JUNI_USER_ZDOTDIR/.zprofile" ]] && source "$JUNI_USER_ZDOTDIR/.zprofile"',
+      '',
+    ].join('\n'),
+    '.zshrc': [
+      'ZDOTDIR="$JUNI_USER_ZDOTDIR"',
+      '[[ -f "$ZDOTDIR/.zshrc" ]] && source "$ZDOTDIR/.zshrc"',
+      ZSH_SCRIPT,
+    ].join('\n'),
+  };
+}
+
+/* ── Local PTY ────────────────────────────────────────── */
+
+let localDir; // written once per server process
+
+function localScriptDir() {
+  if (!localDir) {
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'juni-shell-'));
+    fs.writeFileSync(path.join(localDir, 'integration.bash'), BASH_SCRIPT);
+    fs.writeFileSync(path.join(localDir, 'integration.fish'), FISH_SCRIPT);
+    for (const [name, content] of Object.entries(zshStartupFiles(localDir))) {
+      fs.writeFileSync(path.join(localDir, name), content);
+    }
+  }
+  return localDir;
+}
+
+/**
+ * Arguments and environment that start `shellPath` with integration loaded.
+ * → { args, env } or null for shells without a script. Throws if the scripts cannot be written.
+ *
+ * bash: `--rcfile` pointing at a file that replays the login files first.
+ * zsh: a ZDOTDIR whose startup files chain to the user's own.
+ * fish: `--init-command`, which runs after config.fish.
+ */
+function localShellIntegration(shellPath, loginArgs) {
+  const kind = shellKind(shellPath);
+  if (!kind) return null;
+  const dir = localScriptDir();
+
+  if (kind === 'bash') {
+    const rcfile = path.join(dir, 'bashrc');
+    if (!fs.existsSync(rcfile)) fs.writeFileSync(rcfile, bashRcfile(path.join(dir, 'integration.bash')));
+    return { args: ['--rcfile', rcfile, '-i'], env: {} };
+  }
+  if (kind === 'zsh') {
+    return {
+      args: loginArgs,
+      env: { ZDOTDIR: dir, JUNI_USER_ZDOTDIR: process.env.ZDOTDIR || os.homedir() },
+    };
+  }
+  return { args: [...loginArgs, '--init-command', `source '${path.join(dir, 'integration.fish')}'`], env: {} };
+}
+
+/* ── SSH ──────────────────────────────────────────────── */
+
+const REMOTE_DIR = '$HOME/.cache/juni-cli';
+
+/** Run `command` on `client`, feeding it `input`; resolves with stdout, rejects on a non-zero exit. */
+function execCommand(client, command, input) {
+  return new Promise((resolve, reject) => {
+    client.exec(command, (err, channel) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      let stdout = '';
+      channel.on('data', (data) => { stdout += data.toString('utf-8'); });
+      channel.stderr.resume();
+      channel.on('close', (code) => {
+        if (code) reject(new Error(`${command.split(' ')[0]} exited with ${code}`));
+        else resolve(stdout);
+      });
+      if (input !== undefined) channel.end(input);
+    });
+  });
+}
+
+// Startup files under REMOTE_DIR and the command that starts the login shell with them,
+// the same way localShellIntegration starts a local one
+const REMOTE_SHELLS = {
+  bash: {
+    files: {
+      'integration.bash': BASH_SCRIPT,
+      bashrc: bashRcfile(`${REMOTE_DIR}/integration.bash`),
+    },
+    command: `exec "$SHELL" --rcfile "${REMOTE_DIR}/bashrc" -i`,
+  },
+  zsh: {
+    files: Object.fromEntries(Object.entries(zshStartupFiles(`${REMOTE_DIR}/zsh`)).map(([name, content]) => [`zsh/${name}`, content])),
+    command: `export JUNI_USER_ZDOTDIR="\${ZDOTDIR:-$HOME}" ZDOTDIR="${REMOTE_DIR}/zsh"; exec "$SHELL" -l`,
+  },
+  fish: {
+    files: { 'integration.fish': FISH_SCRIPT },
+    command: `exec "$SHELL" -l --init-command 'source "${REMOTE_DIR}/integration.fish"'`,
+  },
+};
+
+/**
+ * Command that starts the remote login shell with shell integration loaded, for an
+ * exec channel with a pty in place of the plain `shell` request. Nothing is typed into
+ * the session, so rc-file TUIs, pagers and the user's own input are never touched.
+ *
+ * The login shell is looked up over a side exec channel and its startup files written
+ * to ~/.cache/juni-cli/. Resolves with null (open a plain shell) when the shell is not
+ * bash, zsh or fish or anything fails. Like `ssh host command`, an exec session skips
+ * the server's MOTD and last-login banner.
+ */
+async function sshShellIntegrationCommand(client, { label } = {}) {
+  try {
+    const shellPath = await execCommand(client, 'printf %s "$SHELL"');
+    const kind = shellKind(shellPath);
+    if (!kind) throw new Error(`unsupported shell ${shellPath || '(unknown)'}`);
+    const { files, command } = REMOTE_SHELLS[kind];
+    for (const [name, content] of Object.entries(files)) {
+      const file = `${REMOTE_DIR}/${name}`;
+      await execCommand(client, `mkdir -p "${path.posix.dirname(file)}" && cat > "${file}"`, content);
+    }
+    return command;
+  } catch (err) {
+    console.warn(`[ssh] shell integration skipped on ${label}: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  shellKind,
+  localShellIntegration,
+  sshShellIntegrationCommand,
+};
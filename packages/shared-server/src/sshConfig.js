@@ -0,0 +1,244 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_SSH_CONFIG_PATH = path.join(os.homedir(), '.ssh', 'config');
+const MAX_INCLUDE_DEPTH = 16;
+const MAX_JUMP_DEPTH = 8;
+
+/* ── Parsing ──────────────────────────────────────────────── */
+
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+function splitArgs(value) {
+  const args = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(value)) !== null) args.push(m[1] !== undefined ? m[1] : m[2]);
+  return args;
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Include supports wildcards in the file name part, like "config.d/*"
+function expandInclude(pattern, baseDir) {
+  const resolved = path.resolve(baseDir, expandHome(pattern));
+  const dir = path.dirname(resolved);
+  const base = path.basename(resolved);
+  if (!/[*?]/.test(base)) return [resolved];
+  try {
+    const re = globToRegExp(base);
+    return fs.readdirSync(dir).filter((f) => re.test(f)).sort().map((f) => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Flatten a config file (and its Includes) into blocks:
+ *   [{ patterns: ['web-*', '!web-old'] | null, options: [[key, value], …] }]
+ * `patterns` is null for global options before the first Host line.
+ * Match blocks are kept with patterns [] so they never apply.
+ */
+function readBlocks(filePath, baseDir, depth = 0, blocks = [{ patterns: null, options: [] }]) {
+  if (depth > MAX_INCLUDE_DEPTH) return blocks;
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[ssh-config] failed to read ${filePath}: ${err.message}`);
+    return blocks;
+  }
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === 'host') {
+      blocks.push({ patterns: splitArgs(value), options: [] });
+    } else if (key === 'match') {
+      blocks.push({ patterns: [], options: [] });
+    } else if (key === 'include') {
+      for (const pattern of splitArgs(value)) {
+        for (const file of expandInclude(pattern, baseDir)) {
+          readBlocks(file, baseDir, depth + 1, blocks);
+        }
+      }
+    } else {
+      blocks[blocks.length - 1].options.push([key, value]);
+    }
+  }
+  return blocks;
+}
+
+function blockMatches(block, alias) {
+  if (block.patterns === null) return true;
+  let matched = false;
+  for (const pattern of block.patterns) {
+    if (pattern.startsWith('!')) {
+      if (globToRegExp(pattern.slice(1)).test(alias)) return false;
+    } else if (globToRegExp(pattern).test(alias)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function expandTokens(value, { alias, host, user }) {
+  return value.replace(/%([%hdnru])/g, (_, t) => ({
+    '%': '%',
+    h: host,
+    n: alias,
+    d: os.homedir(),
+    r: user || '',
+    u: os.userInfo().username,
+  }[t]));
+}
+
+// "[user@]host[:port]" or "[user@][ipv6]:port"
+function parseJumpSpec(spec) {
+  const m = spec.match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+  if (!m) return null;
+  return { username: m[1], host: m[2].replace(/^\[|\]$/g, ''), port: m[3] ? Number(m[3]) : undefined };
+}
+
+/* ── Config object ────────────────────────────────────────── */
+
+/**
+ * Load an OpenSSH client config. Returns:
+ *   { path, hosts, resolve(alias) }
+ * `hosts` lists every concrete (wildcard-free) Host alias, fully resolved.
+ * Resolved entries: { alias, host, port, username?, identityFile?, jumpHosts[] }
+ * where jumpHosts come from ProxyJump (aliases resolved recursively).
+ * Options follow OpenSSH precedence: the first value obtained wins.
+ */
+function loadSshConfig(filePath = DEFAULT_SSH_CONFIG_PATH) {
+  const blocks = readBlocks(filePath, path.dirname(filePath));
+
+  const lookup = (alias) => {
+    const opts = {};
+    for (const block of blocks) {
+      if (!blockMatches(block, alias)) continue;
+      for (const [key, value] of block.options) {
+        if (!(key in opts)) opts[key] = value;
+      }
+    }
+    return opts;
+  };
+
+  const resolve = (alias, depth = 0) => {
+    const opts = lookup(alias);
+    const host = opts.hostname ? expandTokens(opts.hostname, { alias, host: alias }) : alias;
+    const username = opts.user || undefined;
+    const entry = {
+      alias,
+      host,
+      port: Number(opts.port) || 22,
+      username,
+      jumpHosts: [],
+    };
+    if (opts.identityfile) {
+      entry.identityFile = expandHome(expandTokens(splitArgs(opts.identityfile)[0], { alias, host, user: username }));
+    }
+    if (opts.proxyjump && opts.proxyjump.toLowerCase() !== 'none' && depth < MAX_JUMP_DEPTH) {
+      for (const spec of opts.proxyjump.split(',')) {
+        const jump = parseJumpSpec(spec.trim());
+        if (!jump) continue;
+        const resolved = resolve(jump.host, depth + 1);
+        entry.jumpHosts.push(...resolved.jumpHosts, {
+          configHost: jump.host,
+          host: resolved.host,
+          port: jump.port || resolved.port,
+          username: jump.username || resolved.username,
+        });
+      }
+    }
+    return entry;
+  };
+
+  const aliases = [];
+  for (const block of blocks) {
+    for (const pattern of block.patterns || []) {
+      if (!/[*?!]/.test(pattern) && !aliases.includes(pattern)) aliases.push(pattern);
+    }
+  }
+
+  return {
+    path: filePath,
+    get hosts() {
+      return aliases.map((alias) => resolve(alias));
+    },
+    resolve,
+  };
+}
+
+/**
+ * Resolve every hop that carries a `configHost` alias (the target and jump hosts):
+ * host, port and user come from the server-side config, not from the client, so an
+ * alias's IdentityFile is only ever offered to the host the config names for it.
+ * `privateKey` is filled in from that IdentityFile unless the hop brought a key or password.
+ */
+function applySshConfig(credentials, filePath = DEFAULT_SSH_CONFIG_PATH) {
+  const hasAlias = credentials.configHost || credentials.jumpHosts?.some((j) => j.configHost);
+  if (!hasAlias) return credentials;
+
+  const config = loadSshConfig(filePath);
+  const resolveHop = (hop) => {
+    if (!hop.configHost) return hop;
+    const { host, port, username, identityFile } = config.resolve(hop.configHost);
+    const resolved = { ...hop, host, port, username: username || hop.username };
+    if (!identityFile || hop.privateKey || hop.password) return resolved;
+    try {
+      return { ...resolved, privateKey: fs.readFileSync(identityFile, 'utf-8') };
+    } catch (err) {
+      console.error(`[ssh-config] cannot read IdentityFile for ${hop.configHost}: ${err.message}`);
+      return resolved;
+    }
+  };
+
+  return {
+    ...resolveHop(credentials),
+    ...(credentials.jumpHosts ? { jumpHosts: credentials.jumpHosts.map(resolveHop) } : {}),
+  };
+}
+
+/* ── Routes ───────────────────────────────────────────────── */
+
+/**
+ * GET /config-hosts → { path, hosts[] } parsed from the server's OpenSSH config.
+ * The file is re-read on every request so edits show up without a restart.
+ */
+function createSshConfigRoutes({ configPath = DEFAULT_SSH_CONFIG_PATH } = {}) {
+  const router = express.Router();
+
+  router.get('/config-hosts', (_req, res) => {
+    try {
+      const config = loadSshConfig(configPath);
+      res.json({ path: config.path, hosts: config.hosts });
+    } catch (err) {
+      console.error(`[ssh-config] ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_SSH_CONFIG_PATH,
+  loadSshConfig,
+  applySshConfig,
+  createSshConfigRoutes,
+};
@@ -1,95 +1,66 @@
-const { Client } = require('ssh2');
+const { createHostKeyStore } = require('./hostKeys');
+const { createSshBackend } = require('./sshSession');
+const { DEFAULT_SSH_CONFIG_PATH } = require('./sshConfig');
+const { createLocalBackend } = require('./localShell');
+const { createDockerBackend } = require('./dockerExec');
+const { createKubectlBackend } = require('./kubectlExec');
+const { createTelnetBackend, createTcpBackend } = require('./telnetSession');
+const { createBackendDispatcher } = require('./terminalBackends');
+const { attachSftpHandlers } = require('./sftpHandler');
+const { attachForwardHandlers } = require('./portForwards');
+const { createSessionRegistry, attachSessionHandlers } = require('./sessionRegistry');
+
+/**
+ * Terminal sessions over socket.io. SSH is always available; the backends that run
+ * something on this host, or use its credentials, are opt-in:
+ *   sshConfig:  { enabled, path }       — aliases from the server's OpenSSH config, with its IdentityFile keys
+ *   localShell: { enabled, shells[] }  — shells limited to the allowlist
+ *   docker:     { enabled, socketPath } — `docker exec` through the Docker socket
+ *   kubectl:    { enabled, path }       — `kubectl exec` with the server's kubeconfig
+ *   telnet:     { enabled }             — Telnet to any host:port the client names
+ *   tcp:        { enabled }             — raw TCP to any host:port the client names
+ */
+function setupSshHandler(io, {
+  knownHostsPath,
+  sshConfig = {},
+  sessionGraceMs,
+  localShell = {},
+  docker = {},
+  kubectl = {},
+  telnet = {},
+  tcp = {},
+} = {}) {
+  const hostKeyStore = createHostKeyStore(knownHostsPath);
+  const sessions = createSessionRegistry({ graceMs: sessionGraceMs });
+  const openBackend = createBackendDispatcher([
+    createSshBackend({
+      hostKeyStore,
+      sshConfigPath: sshConfig.enabled ? sshConfig.path || DEFAULT_SSH_CONFIG_PATH : undefined,
+    }),
+    telnet.enabled && createTelnetBackend(),
+    tcp.enabled && createTcpBackend(),
+    localShell.enabled && createLocalBackend({ shells: localShell.shells }),
+    docker.enabled && createDockerBackend({ socketPath: docker.socketPath }),
+    kubectl.enabled && createKubectlBackend({ kubectlPath: kubectl.path }),
+  ]);
+  console.log(`[ssh] known hosts: ${hostKeyStore.filePath}`);
+  if (sshConfig.enabled) console.log(`[ssh-config] OpenSSH config aliases enabled: ${sshConfig.path || DEFAULT_SSH_CONFIG_PATH}`);
+  if (localShell.enabled) console.log(`[local] local shells enabled: ${localShell.shells?.join(', ') || 'login shell'}`);
+  if (docker.enabled) console.log(`[docker] docker exec enabled: ${docker.socketPath || 'default socket'}`);
+  if (kubectl.enabled) console.log(`[kubectl] kubectl exec enabled: ${kubectl.path || 'kubectl'}`);
+  if (telnet.enabled) console.log('[telnet] telnet terminals enabled');
+  if (tcp.enabled) console.log('[tcp] raw TCP terminals enabled');
 
-function setupSshHandler(io) {
   io.on('connection', (socket) => {
     console.log(`[socket] client connected  id=${socket.id}`);
 
-    let sshClient = null;
-    let sshStream = null;
-    let pendingSize = { rows: 24, cols: 80 };
+    const { getSession, getClient } = attachSessionHandlers(socket, sessions, openBackend);
 
-    socket.on('ssh:connect', (credentials) => {
-      const { host, port = 22, username, password, privateKey } = credentials;
-
-      console.log(`[ssh] connecting to ${username}@${host}:${port}`);
-      sshClient = new Client();
-
-      sshClient.on('ready', () => {
-        console.log(`[ssh] authenticated  ${username}@${host}`);
-        socket.emit('ssh:status', { status: 'authenticated' });
-
-        sshClient.shell(
-          { term: 'xterm-256color', rows: pendingSize.rows, cols: pendingSize.cols },
-          (err, stream) => {
-            if (err) {
-              socket.emit('ssh:error', { message: err.message });
-              return;
-            }
-
-            sshStream = stream;
-            socket.emit('ssh:status', { status: 'ready' });
-
-            stream.on('data', (data) => {
-              socket.emit('ssh:output', data.toString('utf-8'));
-            });
-
-            stream.stderr.on('data', (data) => {
-              socket.emit('ssh:output', data.toString('utf-8'));
-            });
-
-            stream.on('close', () => {
-              console.log(`[ssh] shell closed  ${username}@${host}`);
-              socket.emit('ssh:status', { status: 'disconnected' });
-              if (sshClient) sshClient.end();
-            });
-          });
-      });
-
-      sshClient.on('error', (err) => {
-        console.error(`[ssh] error: ${err.message}`);
-        socket.emit('ssh:error', { message: err.message });
-      });
-
-      sshClient.on('close', () => {
-        console.log('[ssh] connection closed');
-        socket.emit('ssh:status', { status: 'disconnected' });
-        sshClient = null;
-        sshStream = null;
-      });
-
-      const connectConfig = {
-        host,
-        port: Number(port),
-        username,
-        tryKeyboard: true,
-        readyTimeout: 10000,
-      };
-      if (privateKey) {
-        connectConfig.privateKey = privateKey;
-      } else if (password) {
-        connectConfig.password = password;
-      }
-
-      sshClient.on('keyboard-interactive', (_name, _instructions, _lang, _prompts, finish) => {
-        finish([password || '']);
-      });
-
-      sshClient.connect(connectConfig);
-    });
-
-    socket.on('ssh:data', (data) => {
-      if (sshStream) sshStream.write(data);
-    });
-
-    socket.on('ssh:resize', ({ cols, rows }) => {
-      pendingSize = { rows, cols };
-      if (sshStream) sshStream.setWindow(rows, cols, 0, 0);
-    });
+    attachSftpHandlers(socket, getClient);
+    attachForwardHandlers(socket, getSession);
 
     socket.on('disconnect', () => {
       console.log(`[socket] client disconnected  id=${socket.id}`);
-      if (sshStream) sshStream.end();
-      if (sshClient) sshClient.end();
     });
   });
 }
@@ -0,0 +1,360 @@
+const { Client, utils } = require('ssh2');
+const { createHostVerifier, HOSTKEY_PROMPT_TIMEOUT_MS } = require('./hostKeys');
+const { applySshConfig } = require('./sshConfig');
+const { createBackendEvents } = require('./backendEvents');
+const { sshShellIntegrationCommand } = require('./shellIntegration');
+
+const READY_TIMEOUT_MS = 10000;
+const PASSPHRASE_PROMPT_TIMEOUT_MS = 2 * 60 * 1000;
+const AUTH_PROMPT_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_KEEPALIVE_INTERVAL_S = 15;
+const DEFAULT_KEEPALIVE_COUNT_MAX = 3;
+
+function normalizeHop({ host, port = 22, username, password, privateKey, passphrase }) {
+  return {
+    host,
+    port: Number(port) || 22,
+    username,
+    password,
+    privateKey,
+    passphrase: passphrase || undefined,
+  };
+}
+
+function describeHop(hop) {
+  return `${hop.username}@${hop.host}:${hop.port}`;
+}
+
+/**
+ * Open an interactive SSH shell for `credentials` on behalf of a socket.io client.
+ *
+ * When `credentials.jumpHosts` is a non-empty array, each entry is connected in
+ * order (ProxyJump-style) and the next hop is reached through `forwardOut` on the
+ * previous one. Every hop is host-key verified and authenticated with its own
+ * credentials; progress is reported per hop through `ssh:hop` events.
+ *
+ * keyboard-interactive challenges (OTP, Duo, TOTP…) are relayed round by round as
+ * `ssh:keyboard-interactive` { host, port, username, name, instructions, prompts[{ prompt, echo }] };
+ * the client acks with { responses[] } or { cancel: true }. A lone password prompt
+ * is answered with the hop's password once, without asking.
+ *
+ * A hop with an encrypted `privateKey` and no (or a wrong) `passphrase` triggers an
+ * `ssh:passphrase` { host, port, username, retry } event; the client acks with
+ * { passphrase } to continue or { cancel: true } to abort.
+ *
+ * When `agent` (an ssh-agent socket path, e.g. SSH_AUTH_SOCK) is given, every hop may
+ * authenticate with the agent's keys; `credentials.agentForward` additionally forwards
+ * it to the target shell and reports the outcome as `ssh:agent` { forwarding, error? }.
+ *
+ * Every hop sends SSH keepalives every `credentials.keepaliveInterval` seconds (0 disables)
+ * and gives up after `credentials.keepaliveCountMax` unanswered ones.
+ *
+ * With `credentials.shellIntegration` the remote bash, zsh or fish is started through an
+ * exec channel with startup files that emit OSC 133 prompt / command / exit markers
+ * (see shellIntegration.js); other shells get a plain one.
+ *
+ * Emits `ssh:status` and `ssh:error` exactly like a direct connection.
+ * Returns a backend handle: { write(data), resize(cols, rows), end(), onData(cb), onExit(cb), client }.
+ */
+function openSshSession(socket, credentials, { hostKeyStore, size = { rows: 24, cols: 80 }, agent }) {
+  const jumpHosts = Array.isArray(credentials.jumpHosts) ? credentials.jumpHosts : [];
+  const hops = [...jumpHosts, credentials].map(normalizeHop);
+  const target = hops[hops.length - 1];
+  const keepaliveInterval = credentials.keepaliveInterval ?? DEFAULT_KEEPALIVE_INTERVAL_S;
+  const keepaliveCountMax = Number(credentials.keepaliveCountMax) || DEFAULT_KEEPALIVE_COUNT_MAX;
+  const clients = [];
+  let stream = null;
+  let pendingSize = size;
+  let ended = false;
+  const events = createBackendEvents();
+
+  const emitHop = (index, status, message) => {
+    if (jumpHosts.length === 0) return;
+    const hop = hops[index];
+    socket.emit('ssh:hop', {
+      index,
+      total: hops.length,
+      host: hop.host,
+      port: hop.port,
+      username: hop.username,
+      status,
+      ...(message ? { message } : {}),
+    });
+  };
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    if (stream) stream.end();
+    for (const client of [...clients].reverse()) client.end();
+  };
+
+  // `command` (shell integration) runs the shell through an exec channel with a pty
+  const openShell = (client, forwardAgent, command) => {
+    const pty = { term: 'xterm-256color', rows: pendingSize.rows, cols: pendingSize.cols };
+    const onShell = (err, shellStream) => {
+      if (err && forwardAgent) {
+        // Server refused agent forwarding (e.g. AllowAgentForwarding no) — open a plain shell
+        console.warn(`[ssh] agent forwarding refused by ${target.host}: ${err.message}`);
+        socket.emit('ssh:agent', { forwarding: false, error: err.message });
+        openShell(client, false, command);
+        return;
+      }
+      if (err) {
+        socket.emit('ssh:error', { message: err.message });
+        return;
+      }
+
+      stream = shellStream;
+      if (forwardAgent) socket.emit('ssh:agent', { forwarding: true });
+      socket.emit('ssh:status', { status: 'ready' });
+
+      shellStream.on('data', (data) => {
+        events.emitData(data.toString('utf-8'));
+      });
+
+      shellStream.stderr.on('data', (data) => {
+        events.emitData(data.toString('utf-8'));
+      });
+
+      shellStream.on('close', () => {
+        console.log(`[ssh] shell closed  ${target.username}@${target.host}`);
+        events.emitExit();
+        end();
+      });
+    };
+    if (command) client.exec(command, { pty, agentForward: forwardAgent }, onShell);
+    else client.shell(pty, { agentForward: forwardAgent }, onShell);
+  };
+
+  const askPassphrase = (hop, retry) => new Promise((resolve) => {
+    socket.timeout(PASSPHRASE_PROMPT_TIMEOUT_MS).emit(
+      'ssh:passphrase',
+      { host: hop.host, port: hop.port, username: hop.username, retry },
+      (err, answer) => resolve(err || answer?.cancel ? null : answer?.passphrase ?? ''),
+    );
+  });
+
+  // Resolves with the passphrase that decrypts hop.privateKey (undefined if unencrypted)
+  const unlockPrivateKey = async (hop) => {
+    let { passphrase } = hop;
+    for (;;) {
+      const parsed = utils.parseKey(hop.privateKey, passphrase);
+      if (!(parsed instanceof Error)) return passphrase;
+      if (!/passphrase/i.test(parsed.message)) {
+        throw new Error(`Invalid private key: ${parsed.message}`);
+      }
+      console.log(`[ssh] private key for ${describeHop(hop)} needs a passphrase`);
+      passphrase = await askPassphrase(hop, passphrase !== undefined);
+      if (passphrase === null) throw new Error('Private key passphrase was not provided');
+      if (ended) throw new Error('Connection cancelled');
+    }
+  };
+
+  const askKeyboardInteractive = (hop, name, instructions, prompts) => new Promise((resolve) => {
+    socket.timeout(AUTH_PROMPT_TIMEOUT_MS).emit(
+      'ssh:keyboard-interactive',
+      {
+        host: hop.host,
+        port: hop.port,
+        username: hop.username,
+        name,
+        instructions,
+        prompts: prompts.map(({ prompt, echo }) => ({ prompt, echo: !!echo })),
+      },
+      (err, answer) => resolve(err || answer?.cancel || !Array.isArray(answer?.responses) ? null : answer.responses),
+    );
+  });
+
+  const connectHop = (index, sock) => {
+    const hop = hops[index];
+    const isTarget = index === hops.length - 1;
+    const client = new Client();
+    clients.push(client);
+    let hostKeyError = null;
+    let readyTimer = null;
+    let timedOut = false;
+    let passwordSent = false;
+
+    const reportError = (message) => {
+      emitHop(index, 'error', message);
+      socket.emit('ssh:error', {
+        message: hops.length > 1 ? `${hop.host}: ${message}` : message,
+      });
+    };
+
+    // Own ready timer instead of ssh2's readyTimeout so it can be paused while the user answers prompts
+    const startReadyTimer = (ms) => {
+      clearTimeout(readyTimer);
+      readyTimer = setTimeout(() => {
+        console.error(`[ssh] timed out connecting to ${describeHop(hop)}`);
+        timedOut = true;
+        reportError(hostKeyError || 'Timed out while waiting for handshake');
+        client.destroy();
+      }, ms);
+    };
+
+    console.log(`[ssh] connecting to ${describeHop(hop)}${sock ? ' (tunnelled)' : ''}`);
+    emitHop(index, 'connecting');
+
+    client.on('handshake', () => {
+      startReadyTimer(READY_TIMEOUT_MS);
+    });
+
+    client.on('ready', () => {
+      clearTimeout(readyTimer);
+      console.log(`[ssh] authenticated  ${hop.username}@${hop.host}`);
+      emitHop(index, 'authenticated');
+
+      if (!isTarget) {
+        const next = hops[index + 1];
+        client.forwardOut('127.0.0.1', 0, next.host, next.port, (err, channel) => {
+          if (err) {
+            const message = `Cannot reach ${next.host}:${next.port} from ${hop.host}: ${err.message}`;
+            console.error(`[ssh] ${message}`);
+            emitHop(index + 1, 'error', message);
+            socket.emit('ssh:error', { message });
+            end();
+            return;
+          }
+          connectHop(index + 1, channel);
+        });
+        return;
+      }
+
+      socket.emit('ssh:status', { status: 'authenticated' });
+      const forwardAgent = !!(agent && credentials.agentForward);
+      if (!credentials.shellIntegration) {
+        openShell(client, forwardAgent);
+        return;
+      }
+      sshShellIntegrationCommand(client, { label: describeHop(target) }).then((command) => {
+        if (!ended) openShell(client, forwardAgent, command);
+      });
+    });
+
+    client.on('error', (err) => {
+      clearTimeout(readyTimer);
+      if (timedOut) return;
+      console.error(`[ssh] error (${describeHop(hop)}): ${err.message}`);
+      reportError(hostKeyError || err.message);
+    });
+
+    client.on('close', () => {
+      clearTimeout(readyTimer);
+      console.log(`[ssh] connection closed  ${describeHop(hop)}`);
+      emitHop(index, 'closed');
+      events.emitExit();
+      end();
+    });
+
+    client.on('keyboard-interactive', (name, instructions, _lang, prompts, finish) => {
+      if (prompts.length === 0) {
+        finish([]);
+        return;
+      }
+      const isPasswordPrompt = prompts.length === 1 && !prompts[0].echo && /password/i.test(prompts[0].prompt);
+      if (isPasswordPrompt && hop.password && !passwordSent) {
+        passwordSent = true;
+        finish([hop.password]);
+        return;
+      }
+
+      console.log(`[ssh] keyboard-interactive challenge from ${describeHop(hop)} (${prompts.length} prompt${prompts.length !== 1 ? 's' : ''})`);
+      clearTimeout(readyTimer);
+      askKeyboardInteractive(hop, name, instructions, prompts).then((responses) => {
+        if (ended) return;
+        startReadyTimer(READY_TIMEOUT_MS);
+        finish(responses ? prompts.map((_, i) => String(responses[i] ?? '')) : []);
+      });
+    });
+
+    const connectConfig = {
+      username: hop.username,
+      tryKeyboard: true,
+      readyTimeout: 0,
+      keepaliveInterval: Math.max(Number(keepaliveInterval) || 0, 0) * 1000,
+      keepaliveCountMax,
+      agent,
+      hostVerifier: createHostVerifier({
+        store: hostKeyStore,
+        socket,
+        host: hop.host,
+        port: hop.port,
+        onReject: (message) => { hostKeyError = message; },
+      }),
+    };
+    if (sock) {
+      connectConfig.sock = sock;
+    } else {
+      connectConfig.host = hop.host;
+      connectConfig.port = hop.port;
+    }
+
+    const connect = () => {
+      // Leave time for the user to review the fingerprint of a first-time host
+      startReadyTimer(hostKeyStore.get(hop.host, hop.port)
+        ? READY_TIMEOUT_MS
+        : READY_TIMEOUT_MS + HOSTKEY_PROMPT_TIMEOUT_MS);
+      client.connect(connectConfig);
+    };
+
+    if (!hop.privateKey) {
+      if (hop.password) connectConfig.password = hop.password;
+      connect();
+      return;
+    }
+
+    unlockPrivateKey(hop)
+      .then((passphrase) => {
+        if (ended) return;
+        connectConfig.privateKey = hop.privateKey;
+        if (passphrase) connectConfig.passphrase = passphrase;
+        connect();
+      })
+      .catch((err) => {
+        console.error(`[ssh] ${describeHop(hop)}: ${err.message}`);
+        reportError(err.message);
+        end();
+        events.emitExit();
+      });
+  };
+
+  connectHop(0, null);
+
+  return {
+    get client() {
+      return clients.length === hops.length ? clients[clients.length - 1] : null;
+    },
+    write(data) {
+      if (stream) stream.write(data);
+    },
+    resize(cols, rows) {
+      pendingSize = { rows, cols };
+      if (stream) stream.setWindow(rows, cols, 0, 0);
+    },
+    end,
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/**
+ * SSH terminal backend (`credentials.type` 'ssh', the default).
+ * Hosts, jump hosts and IdentityFiles named by `configHost` come from `sshConfigPath`;
+ * without one, `configHost` aliases are ignored.
+ */
+function createSshBackend({ hostKeyStore, sshConfigPath, agent } = {}) {
+  return {
+    type: 'ssh',
+    spawn: (socket, credentials, { size }) => (
+      openSshSession(
+        socket,
+        sshConfigPath ? applySshConfig(credentials, sshConfigPath) : credentials,
+        { hostKeyStore, size, agent },
+      )
+    ),
+  };
+}
+
+module.exports = { openSshSession, createSshBackend, describeHop };
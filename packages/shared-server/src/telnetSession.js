@@ -0,0 +1,285 @@
+const net = require('net');
+const { StringDecoder } = require('string_decoder');
+const { createBackendEvents } = require('./backendEvents');
+
+const CONNECT_TIMEOUT_MS = 10000;
+const TERMINAL_TYPE = 'XTERM-256COLOR';
+
+// RFC 854 commands and the options we negotiate
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const OPT_ECHO = 1;
+const OPT_SGA = 3;
+const OPT_TTYPE = 24;
+const OPT_NAWS = 31;
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+
+// Options we perform (WILL) and options we want the server to perform (DO)
+const LOCAL_OPTIONS = [OPT_NAWS, OPT_TTYPE, OPT_SGA];
+const REMOTE_OPTIONS = [OPT_ECHO, OPT_SGA];
+
+/* ── Shared plumbing ──────────────────────────────────────── */
+
+/**
+ * Open a TCP connection for a terminal backend. `onConnect(sock)` runs once connected,
+ * `onBytes(buf)` gets every received chunk. Emits the usual status / error events.
+ */
+function connectTcp(socket, { host, port, tag }, events, { onConnect, onBytes }) {
+  console.log(`[${tag}] connecting to ${host}:${port}`);
+  const sock = net.connect({ host, port });
+  let connected = false;
+
+  sock.setTimeout(CONNECT_TIMEOUT_MS, () => {
+    if (connected) return;
+    socket.emit('ssh:error', { message: `Timed out connecting to ${host}:${port}` });
+    sock.destroy();
+  });
+
+  sock.on('connect', () => {
+    connected = true;
+    sock.setTimeout(0);
+    console.log(`[${tag}] connected  ${host}:${port}`);
+    socket.emit('ssh:status', { status: 'authenticated' });
+    socket.emit('ssh:status', { status: 'ready' });
+    onConnect(sock);
+  });
+  sock.on('data', onBytes);
+  sock.on('error', (err) => {
+    console.error(`[${tag}] ${host}:${port}: ${err.message}`);
+    socket.emit('ssh:error', { message: err.message });
+  });
+  sock.on('close', () => {
+    console.log(`[${tag}] connection closed  ${host}:${port}`);
+    events.emitExit();
+  });
+  return sock;
+}
+
+function parseTarget(socket, credentials, defaultPort) {
+  const host = credentials.host;
+  const port = Number(credentials.port) || defaultPort;
+  if (!host || !port || port > 65535) {
+    socket.emit('ssh:error', { message: 'Enter a host and port' });
+    return null;
+  }
+  return { host, port };
+}
+
+/* ── Telnet ───────────────────────────────────────────────── */
+
+/**
+ * Open a telnet session. Negotiates NAWS (window size, resent on resize),
+ * TTYPE (reports xterm-256color) and ECHO / SGA so the server does the echoing;
+ * everything else is refused.
+ *
+ * credentials: { type: 'telnet', host, port? = 23 }
+ * Emits `ssh:status` / `ssh:error` like an SSH session and returns a backend handle.
+ */
+function openTelnetSession(socket, credentials, { size = { rows: 24, cols: 80 } } = {}) {
+  const target = parseTarget(socket, credentials, 23);
+  if (!target) return null;
+
+  const events = createBackendEvents();
+  const decoder = new StringDecoder('utf-8');
+  const localEnabled = new Set(); // options we agreed to perform
+  const remoteEnabled = new Set(); // options the server agreed to perform
+  const offered = new Set(); // WILLs we sent unprompted, awaiting DO / DONT
+  let pendingSize = size;
+  let sock = null;
+  let state = 'data'; // data | iac | command | sb | sb-iac
+  let command = 0;
+  let subneg = [];
+
+  const send = (...bytes) => {
+    if (sock && !sock.destroyed) sock.write(Buffer.from(bytes));
+  };
+
+  const sendWindowSize = () => {
+    if (!localEnabled.has(OPT_NAWS)) return;
+    const { cols, rows } = pendingSize;
+    const bytes = [cols >> 8, cols & 0xff, rows >> 8, rows & 0xff]
+      .flatMap((b) => (b === IAC ? [IAC, IAC] : [b]));
+    send(IAC, SB, OPT_NAWS, ...bytes, IAC, SE);
+  };
+
+  const negotiate = (cmd, option) => {
+    if (cmd === DO || cmd === DONT) {
+      const enable = cmd === DO && LOCAL_OPTIONS.includes(option);
+      // A reply to our own offer is an acknowledgement and must not be answered again
+      const answersOffer = offered.delete(option);
+      if (enable === localEnabled.has(option)) {
+        // Already in that state: only refuse a fresh DO for something we don't support
+        if (cmd === DO && !enable && !answersOffer) send(IAC, WONT, option);
+        return;
+      }
+      if (enable) localEnabled.add(option);
+      else localEnabled.delete(option);
+      if (!answersOffer) send(IAC, enable ? WILL : WONT, option);
+      if (enable && option === OPT_NAWS) sendWindowSize();
+    } else {
+      const enable = cmd === WILL && REMOTE_OPTIONS.includes(option);
+      if (enable === remoteEnabled.has(option)) {
+        if (cmd === WILL && !enable) send(IAC, DONT, option);
+        return;
+      }
+      if (enable) remoteEnabled.add(option);
+      else remoteEnabled.delete(option);
+      send(IAC, enable ? DO : DONT, option);
+    }
+  };
+
+  const handleSubnegotiation = () => {
+    if (subneg[0] === OPT_TTYPE && subneg[1] === TTYPE_SEND) {
+      send(IAC, SB, OPT_TTYPE, TTYPE_IS, ...Buffer.from(TERMINAL_TYPE, 'ascii'), IAC, SE);
+    }
+    subneg = [];
+  };
+
+  const onBytes = (buf) => {
+    const data = [];
+    for (const byte of buf) {
+      switch (state) {
+        case 'data':
+          if (byte === IAC) state = 'iac';
+          else data.push(byte);
+          break;
+        case 'iac':
+          if (byte === IAC) {
+            data.push(IAC);
+            state = 'data';
+          } else if (byte >= WILL && byte <= DONT) {
+            command = byte;
+            state = 'command';
+          } else if (byte === SB) {
+            state = 'sb';
+          } else {
+            state = 'data'; // NOP, GA, DM… carry no payload
+          }
+          break;
+        case 'command':
+          negotiate(command, byte);
+          state = 'data';
+          break;
+        case 'sb':
+          if (byte === IAC) state = 'sb-iac';
+          else subneg.push(byte);
+          break;
+        case 'sb-iac':
+          if (byte === SE) {
+            handleSubnegotiation();
+            state = 'data';
+          } else {
+            subneg.push(byte);
+            state = 'sb';
+          }
+          break;
+        default:
+          state = 'data';
+      }
+    }
+    if (data.length) {
+      const text = decoder.write(Buffer.from(data));
+      if (text) events.emitData(text);
+    }
+  };
+
+  sock = connectTcp(socket, { ...target, tag: 'telnet' }, events, {
+    onConnect: () => {
+      // Offer what we support up front; most servers wait for the client to start
+      for (const option of [OPT_NAWS, OPT_TTYPE]) {
+        offered.add(option);
+        send(IAC, WILL, option);
+      }
+    },
+    onBytes,
+  });
+
+  return {
+    client: null,
+    write(data) {
+      if (sock.destroyed) return;
+      // Escape IAC, and send a bare CR as CR NUL (RFC 854)
+      const bytes = [];
+      const buf = Buffer.from(data, 'utf-8');
+      for (let i = 0; i < buf.length; i++) {
+        bytes.push(buf[i]);
+        if (buf[i] === IAC) bytes.push(IAC);
+        else if (buf[i] === 0x0d && buf[i + 1] !== 0x0a) bytes.push(0);
+      }
+      sock.write(Buffer.from(bytes));
+    },
+    resize(cols, rows) {
+      pendingSize = { rows, cols };
+      sendWindowSize();
+    },
+    end() {
+      sock.destroy();
+    },
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/* ── Raw TCP ──────────────────────────────────────────────── */
+
+/**
+ * Open a raw TCP connection (like `nc host port`): bytes pass through unchanged.
+ *
+ * credentials: { type: 'tcp', host, port }
+ */
+function openTcpSession(socket, credentials) {
+  const target = parseTarget(socket, credentials, 0);
+  if (!target) return null;
+
+  const events = createBackendEvents();
+  const decoder = new StringDecoder('utf-8');
+  const sock = connectTcp(socket, { ...target, tag: 'tcp' }, events, {
+    onConnect: () => {},
+    onBytes: (buf) => {
+      const text = decoder.write(buf);
+      if (text) events.emitData(text);
+    },
+  });
+
+  return {
+    client: null,
+    write(data) {
+      if (!sock.destroyed) sock.write(data);
+    },
+    resize() {},
+    end() {
+      sock.destroy();
+    },
+    onData: events.onData,
+    onExit: events.onExit,
+  };
+}
+
+/** Telnet terminal backend (`credentials.type` 'telnet'). */
+function createTelnetBackend() {
+  return {
+    type: 'telnet',
+    spawn: (socket, credentials, { size }) => openTelnetSession(socket, credentials, { size }),
+  };
+}
+
+/** Raw TCP terminal backend (`credentials.type` 'tcp'). */
+function createTcpBackend() {
+  return {
+    type: 'tcp',
+    spawn: (socket, credentials) => openTcpSession(socket, credentials),
+  };
+}
+
+module.exports = {
+  openTelnetSession,
+  openTcpSession,
+  createTelnetBackend,
+  createTcpBackend,
+};
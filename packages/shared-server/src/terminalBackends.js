@@ -0,0 +1,79 @@
+const express = require('express');
+const { isLocalShellAvailable, listShells } = require('./localShell');
+
+const BACKEND_LABELS = {
+  ssh: 'SSH',
+  local: 'Local shell',
+  docker: 'Docker',
+  kubectl: 'Kubernetes',
+  serial: 'Serial',
+  telnet: 'Telnet',
+  tcp: 'Raw TCP',
+};
+
+/** `credentials.type`, with the older `local: true` flag treated as 'local'. */
+function backendType(credentials) {
+  return credentials.type || (credentials.local ? 'local' : 'ssh');
+}
+
+/**
+ * Build the session opener used by `attachSessionHandlers` from a list of backends
+ * ({ type, spawn(socket, credentials, { size }) → handle | null }).
+ * The backend is picked by `credentials.type`; its handle's data and exit events
+ * become `ssh:output` and `ssh:status: disconnected` on the socket.
+ */
+function createBackendDispatcher(backends) {
+  const byType = new Map(backends.filter(Boolean).map((backend) => [backend.type, backend]));
+
+  return (socket, credentials, size) => {
+    const type = backendType(credentials);
+    const backend = byType.get(type);
+    if (!backend) {
+      socket.emit('ssh:error', { message: `${BACKEND_LABELS[type] || type} terminals are not enabled on this server` });
+      return null;
+    }
+
+    const handle = backend.spawn(socket, credentials, { size });
+    if (!handle) return null;
+    handle.onData((data) => socket.emit('ssh:output', data));
+    handle.onExit(() => socket.emit('ssh:status', { status: 'disconnected' }));
+    return handle;
+  };
+}
+
+/**
+ * Which terminal types this server offers, for the connection form:
+ *   { ssh: {}, local?: { shells[] }, docker?: {}, kubectl?: {}, telnet?: {}, tcp?: {} }
+ * `options` takes the same { localShell, docker, kubectl, telnet, tcp } settings as setupSshHandler;
+ * `extra` lists app-specific backends (e.g. Proton's serial consoles).
+ */
+function describeBackends({ localShell = {}, docker = {}, kubectl = {}, telnet = {}, tcp = {}, extra = {} } = {}) {
+  const pty = isLocalShellAvailable();
+  return {
+    ssh: {},
+    ...(localShell.enabled && pty ? { local: { shells: listShells(localShell.shells) } } : {}),
+    ...(docker.enabled ? { docker: {} } : {}),
+    ...(kubectl.enabled && pty ? { kubectl: {} } : {}),
+    ...(telnet.enabled ? { telnet: {} } : {}),
+    ...(tcp.enabled ? { tcp: {} } : {}),
+    ...extra,
+  };
+}
+
+/** GET /backends → describeBackends(options) */
+function createBackendRoutes(options) {
+  const router = express.Router();
+
+  router.get('/backends', (_req, res) => {
+    res.json(describeBackends(options));
+  });
+
+  return router;
+}
+
+module.exports = {
+  backendType,
+  createBackendDispatcher,
+  describeBackends,
+  createBackendRoutes,
+};
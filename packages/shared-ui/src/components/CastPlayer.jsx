@@ -0,0 +1,236 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Terminal as XTerm } from '@xterm/xterm';
+import { parseCast } from '../utils/asciicast.js';
+import { xtermTheme } from '../utils/themes.js';
+
+import '@xterm/xterm/css/xterm.css';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+const SEEK_STEP_S = 5;
+
+const formatTime = (seconds) => {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+/**
+ * CastPlayer — replays an asciicast v2 recording in a read-only xterm,
+ * with play / pause, seek and playback speed. Space toggles playback and
+ * ←/→ seek while the player has focus.
+ */
+function CastPlayer({ name, cast, isActive, fontFamily, fontSize, bgColor, theme, onClose }) {
+  const recording = useMemo(() => {
+    try {
+      return parseCast(cast);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [cast]);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const termRef = useRef(null);
+  const xtermRef = useRef(null);
+  // Replay cursor: next event to write and the recording time already rendered
+  const cursorRef = useRef({ index: 0, position: 0 });
+  // Wall-clock anchor for the playback loop; reset on seek and speed changes
+  const clockRef = useRef({ wall: 0, position: 0 });
+
+  const duration = recording.duration || 0;
+
+  /** Bring the terminal to recording time `target`, replaying from the start when going back. */
+  const renderUntil = useCallback((target) => {
+    const term = xtermRef.current;
+    if (!term || recording.error) return;
+    const cursor = cursorRef.current;
+    if (target < cursor.position) {
+      term.reset();
+      term.resize(recording.header.width, recording.header.height);
+      cursor.index = 0;
+    }
+    let output = '';
+    while (cursor.index < recording.events.length && recording.events[cursor.index][0] <= target) {
+      const [, code, data] = recording.events[cursor.index];
+      if (code === 'o') {
+        output += data;
+      } else {
+        const [cols, rows] = data.split('x').map(Number);
+        if (output) term.write(output);
+        output = '';
+        if (cols > 0 && rows > 0) term.resize(cols, rows);
+      }
+      cursor.index += 1;
+    }
+    if (output) term.write(output);
+    cursor.position = target;
+  }, [recording]);
+
+  const seek = useCallback((target) => {
+    const t = Math.max(0, Math.min(target, duration));
+    renderUntil(t);
+    clockRef.current = { wall: performance.now(), position: t };
+    setPosition(t);
+  }, [renderUntil, duration]);
+
+  useEffect(() => {
+    if (recording.error) return undefined;
+
+    const term = new XTerm({
+      cols: recording.header.width,
+      rows: recording.header.height,
+      disableStdin: true,
+      cursorBlink: false,
+      cursorStyle: 'block',
+      fontFamily: fontFamily ? `'${fontFamily}', monospace` : '"Ubuntu Mono", "Fira Code", "Cascadia Code", monospace',
+      fontSize: fontSize || 14,
+      lineHeight: 1.35,
+      scrollback: 10000,
+      theme: xtermTheme(theme, bgColor),
+    });
+    term.open(termRef.current);
+    xtermRef.current = term;
+    cursorRef.current = { index: 0, position: 0 };
+    renderUntil(0);
+
+    return () => {
+      xtermRef.current = null;
+      term.dispose();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [recording]);
+
+  useEffect(() => {
+    const term = xtermRef.current;
+    if (!term) return;
+    if (fontFamily) term.options.fontFamily = `'${fontFamily}', monospace`;
+    if (fontSize) term.options.fontSize = fontSize;
+    term.options.theme = xtermTheme(theme, bgColor);
+  }, [fontFamily, fontSize, bgColor, theme]);
+
+  // Playback loop: advance the recording clock every frame while playing
+  useEffect(() => {
+    if (!playing) return undefined;
+    clockRef.current = { wall: performance.now(), position: cursorRef.current.position };
+    let frame;
+    const tick = (now) => {
+      const { wall, position: from } = clockRef.current;
+      const t = Math.min(from + ((now - wall) / 1000) * speed, duration);
+      renderUntil(t);
+      setPosition(t);
+      if (t >= duration) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, duration, renderUntil]);
+
+  // Pause when the tab is hidden
+  useEffect(() => {
+    if (!isActive) setPlaying(false);
+  }, [isActive]);
+
+  const togglePlay = useCallback(() => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    if (cursorRef.current.position >= duration) seek(0);
+    setPlaying(true);
+  }, [playing, duration, seek]);
+
+  const handleKeyDown = (e) => {
+    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      togglePlay();
+    } else if (e.key === 'ArrowLeft') {
+      seek(cursorRef.current.position - SEEK_STEP_S);
+    } else if (e.key === 'ArrowRight') {
+      seek(cursorRef.current.position + SEEK_STEP_S);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([cast], { type: 'application/x-asciicast' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name.endsWith('.cast') ? name : `${name}.cast`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div
+      className="terminal-container cast-player"
+      style={{ display: isActive ? 'flex' : 'none' }}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="terminal-toolbar">
+        <div className="toolbar-left">
+          <span className="terminal-title">{name}</span>
+          {recording.header && (
+            <span className="terminal-title-via">
+              {recording.header.width}×{recording.header.height}
+              {recording.header.timestamp ? ` · ${new Date(recording.header.timestamp * 1000).toLocaleString()}` : ''}
+            </span>
+          )}
+        </div>
+        <div className="toolbar-right">
+          <button className="disconnect-btn files-btn" onClick={download} title="Download .cast file">
+            Save
+          </button>
+          <button className="disconnect-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {recording.error ? (
+        <div className="cast-player-error">{recording.error}</div>
+      ) : (
+        <>
+          <div className="cast-player-screen">
+            <div ref={termRef} />
+          </div>
+          <div className="cast-player-controls">
+            <button
+              className="disconnect-btn files-btn cast-player-play"
+              onClick={togglePlay}
+              title={playing ? 'Pause (Space)' : 'Play (Space)'}
+            >
+              {playing ? '❚❚' : '▶'}
+            </button>
+            <span className="cast-player-time">{formatTime(position)}</span>
+            <input
+              type="range"
+              className="cast-player-seek"
+              min="0"
+              max={duration}
+              step="0.1"
+              value={position}
+              onChange={(e) => seek(Number(e.target.value))}
+              aria-label="Seek"
+            />
+            <span className="cast-player-time">{formatTime(duration)}</span>
+            <select
+              className="cast-player-speed"
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              title="Playback speed"
+            >
+              {SPEEDS.map((s) => (
+                <option key={s} value={s}>{s}×</option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CastPlayer;
@@ -0,0 +1,47 @@
+import { blockStatus } from '../utils/commandBlocks.js';
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+/**
+ * CommandBlockBar — actions for the command block selected in the terminal
+ * (via its gutter marker or Ctrl/Cmd+Shift+↑/↓).
+ */
+function CommandBlockBar({ block, canRerun, onCopyOutput, onRerun, onSendToGemini, onStep, onClose }) {
+  const status = blockStatus(block);
+
+  return (
+    <div className="command-block-bar">
+      <span className={`command-block-status command-block-status--${status}`}>
+        {status === 'unknown' ? '•' : `exit ${block.exitCode}`}
+      </span>
+      <span className="command-block-command" title={block.command}>
+        {block.command || '(empty command)'}
+      </span>
+      {block.durationMs !== null && block.durationMs !== undefined && (
+        <span className="command-block-duration">{formatDuration(block.durationMs)}</span>
+      )}
+      <button type="button" className="terminal-search-nav" onClick={onCopyOutput} title="Copy this command's output">
+        Copy
+      </button>
+      <button
+        type="button"
+        className="terminal-search-nav"
+        onClick={onRerun}
+        disabled={!canRerun || !block.command}
+        title={canRerun ? 'Run this command again' : 'Wait for the running command to finish'}
+      >
+        Re-run
+      </button>
+      {onSendToGemini && (
+        <button type="button" className="terminal-search-nav" onClick={onSendToGemini} title="Send the command and its output to Gemini">
+          Gemini
+        </button>
+      )}
+      <button type="button" className="terminal-search-nav" onClick={() => onStep(-1)} title="Previous command (Ctrl/Cmd+Shift+↑)">↑</button>
+      <button type="button" className="terminal-search-nav" onClick={() => onStep(1)} title="Next command (Ctrl/Cmd+Shift+↓)">↓</button>
+      <button type="button" className="terminal-search-nav" onClick={onClose} title="Close">✕</button>
+    </div>
+  );
+}
+
+export default CommandBlockBar;
@@ -1,7 +1,22 @@
 import { useState, useEffect, useRef } from 'react';
+import {
+  getVaultMode,
+  hasVaultPassphrase,
+  isVaultUnlocked,
+  unlockVault,
+  resetVault,
+  encryptSecret,
+  decryptSecret,
+  canDecrypt,
+} from '../utils/credentialVault.js';
+import { compilePromptPattern } from '../utils/commandBlocks.js';
 
 const HISTORY_KEY = 'juni-cli-proton:connection-history';
 const MAX_HISTORY = 20;
+const DEFAULT_KEEPALIVE_S = 15;
+const MODE_LABELS = { ssh: 'SSH', telnet: 'Telnet', tcp: 'Raw TCP', docker: 'Docker', kubectl: 'Kubernetes', serial: 'Serial' };
+const DEFAULT_TELNET_PORT = 23;
+const BAUD_RATES = [300, 1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600];
 
 function loadHistory() {
   try {
@@ -11,15 +26,45 @@ function loadHistory() {
   }
 }
 
-function saveToHistory({ host, port, username, password, savePassword }) {
+/**
+ * `secret` is the password already encrypted by the credential vault.
+ */
+function saveToHistory({ host, port, username, secret, jumpHosts, agentForward, configHost, autoReconnect, keepaliveInterval, localEcho, shellIntegration, promptPattern }) {
   const history = loadHistory();
   const key = `${host}:${port}:${username}`;
   const filtered = history.filter(
     (h) => `${h.host}:${h.port}:${h.username}` !== key,
   );
   const entry = { host, port, username, lastUsed: Date.now() };
-  if (savePassword && password) {
-    entry.savedPassword = btoa(password);
+  if (jumpHosts?.length) {
+    // Jump host passwords are never persisted
+    entry.jumpHosts = jumpHosts.map(({ host: h, port: p, username: u, configHost: c }) => (
+      c ? { host: h, port: p, username: u, configHost: c } : { host: h, port: p, username: u }
+    ));
+  }
+  if (configHost) {
+    entry.configHost = configHost;
+  }
+  if (agentForward) {
+    entry.agentForward = true;
+  }
+  if (autoReconnect === false) {
+    entry.autoReconnect = false;
+  }
+  if (localEcho) {
+    entry.localEcho = true;
+  }
+  if (shellIntegration) {
+    entry.shellIntegration = true;
+  }
+  if (promptPattern) {
+    entry.promptPattern = promptPattern;
+  }
+  if (keepaliveInterval !== undefined && keepaliveInterval !== DEFAULT_KEEPALIVE_S) {
+    entry.keepaliveInterval = keepaliveInterval;
+  }
+  if (secret) {
+    entry.secret = secret;
   }
   filtered.unshift(entry);
   localStorage.setItem(
@@ -28,35 +73,170 @@ function saveToHistory({ host, port, username, password, savePassword }) {
   );
 }
 
-export { saveToHistory };
+// Older versions stored passwords as base64 in `savedPassword`; re-encrypt them with the vault
+async function migrateSavedPasswords() {
+  const history = loadHistory();
+  if (!history.some((h) => h.savedPassword)) return history;
+  const migrated = await Promise.all(history.map(async (entry) => {
+    if (!entry.savedPassword) return entry;
+    try {
+      const { savedPassword, ...rest } = entry;
+      return { ...rest, secret: await encryptSecret(atob(savedPassword)) };
+    } catch {
+      return entry;
+    }
+  }));
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(migrated));
+  return migrated;
+}
+
+/**
+ * `connection` with the password saved for it in the vault, when it has none of its own
+ * (tabs restored after a reload are persisted without secrets). Unchanged if nothing
+ * is saved or the vault is locked — the server then prompts via keyboard-interactive.
+ */
+async function withSavedPassword(connection) {
+  if (connection.type || connection.local || connection.password || connection.privateKey) return connection;
+  const entry = loadHistory().find((h) => (
+    h.host === connection.host && Number(h.port) === Number(connection.port) && h.username === connection.username
+  ));
+  if (!entry?.secret || !canDecrypt(entry.secret)) return connection;
+  try {
+    return { ...connection, password: await decryptSecret(entry.secret) };
+  } catch {
+    return connection;
+  }
+}
+
+export { saveToHistory, withSavedPassword };
 
-export default function ConnectionForm({ onConnect, onLocalConnect }) {
+const emptyJumpHost = () => ({ host: '', port: '22', username: '', password: '' });
+
+const MAX_KEY_FILE_BYTES = 64 * 1024;
+
+export default function ConnectionForm({
+  onConnect,
+  onLocalConnect,
+  localSubtitle = 'Open a shell on this Mac — no login required',
+  supportsAgent,
+  serverUrl,
+}) {
   const [host, setHost] = useState('');
   const [port, setPort] = useState('22');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [savePassword, setSavePassword] = useState(false);
+  const [vaultMode, setVaultMode] = useState(null);
+  const [vaultUnlocked, setVaultUnlocked] = useState(false);
+  const [vaultPassphrase, setVaultPassphrase] = useState('');
+  const [vaultError, setVaultError] = useState('');
+  const [pendingSecret, setPendingSecret] = useState(null); // selected entry's secret, waiting for unlock
+  const [jumpHosts, setJumpHosts] = useState([]);
+  const [agentForward, setAgentForward] = useState(false);
+  const [autoReconnect, setAutoReconnect] = useState(true);
+  const [localEcho, setLocalEcho] = useState(false);
+  const [shellIntegration, setShellIntegration] = useState(false);
+  const [promptPattern, setPromptPattern] = useState('');
+  const [keepalive, setKeepalive] = useState(String(DEFAULT_KEEPALIVE_S));
+  const [localShell, setLocalShell] = useState('');
+  const [backends, setBackends] = useState(null); // terminal types the server offers (GET /api/ssh/backends)
+  const [mode, setMode] = useState('ssh');
+  const [execTarget, setExecTarget] = useState({ container: '', user: '', pod: '', namespace: '', context: '' });
+  const [serial, setSerial] = useState({
+    path: '', baudRate: '115200', dataBits: '8', parity: 'none', stopBits: '1', flowControl: 'none',
+  });
+  const [serialPorts, setSerialPorts] = useState([]);
+  const [socketTarget, setSocketTarget] = useState({ host: '', port: '' }); // telnet / raw TCP
+  const [showKey, setShowKey] = useState(false);
+  const [privateKey, setPrivateKey] = useState('');
+  const [keyName, setKeyName] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [keyError, setKeyError] = useState('');
+  const keyFileRef = useRef(null);
   const [history, setHistory] = useState([]);
+  const [configHosts, setConfigHosts] = useState([]);
+  const [configHost, setConfigHost] = useState(null); // { alias, host, identityFile } when picked from ~/.ssh/config
   const [showDropdown, setShowDropdown] = useState(false);
   const [filteredHistory, setFilteredHistory] = useState([]);
+  const [filteredConfigHosts, setFilteredConfigHosts] = useState([]);
   const dropdownRef = useRef(null);
   const hostRef = useRef(null);
 
   useEffect(() => {
     setHistory(loadHistory());
+    getVaultMode().then((mode) => {
+      setVaultMode(mode);
+      setVaultUnlocked(mode === 'safeStorage' || isVaultUnlocked());
+    });
   }, []);
 
+  useEffect(() => {
+    if (vaultUnlocked) migrateSavedPasswords().then(setHistory);
+  }, [vaultUnlocked]);
+
+  // Hosts from the server's ~/.ssh/config (absent or unreadable config → no entries)
+  useEffect(() => {
+    if (!serverUrl) return undefined;
+    let cancelled = false;
+    fetch(`${serverUrl}/api/ssh/config-hosts`)
+      .then((res) => (res.ok ? res.json() : { hosts: [] }))
+      .then((data) => {
+        if (!cancelled) setConfigHosts(data.hosts || []);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [serverUrl]);
+
+  useEffect(() => {
+    if (!serverUrl) return undefined;
+    let cancelled = false;
+    fetch(`${serverUrl}/api/ssh/backends`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled) setBackends(data);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [serverUrl]);
+
+  const localShells = backends?.local?.shells;
+  const modes = ['ssh', 'telnet', 'tcp', 'docker', 'kubectl', 'serial'].filter((m) => m === 'ssh' || backends?.[m]);
+
+  // Refresh the port list whenever the Serial tab is opened (adapters come and go)
+  useEffect(() => {
+    if (mode !== 'serial' || !serverUrl) return undefined;
+    let cancelled = false;
+    fetch(`${serverUrl}/api/serial/ports`)
+      .then((res) => (res.ok ? res.json() : { ports: [] }))
+      .then((data) => {
+        if (cancelled) return;
+        setSerialPorts(data.ports || []);
+        setSerial((prev) => (prev.path || !data.ports?.length ? prev : { ...prev, path: data.ports[0].path }));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [mode, serverUrl]);
+
   useEffect(() => {
     if (!host) {
       setFilteredHistory(history);
+      setFilteredConfigHosts(configHosts);
     } else {
+      const q = host.toLowerCase();
       setFilteredHistory(
         history.filter((h) =>
-          h.host.toLowerCase().includes(host.toLowerCase()),
+          h.host.toLowerCase().includes(q),
+        ),
+      );
+      setFilteredConfigHosts(
+        configHosts.filter((h) =>
+          h.alias.toLowerCase().includes(q) || h.host.toLowerCase().includes(q),
         ),
       );
     }
-  }, [host, history]);
+  }, [host, history, configHosts]);
+
+  const hasSuggestions = history.length > 0 || configHosts.length > 0;
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -77,26 +257,87 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
     setHost(entry.host);
     setPort(String(entry.port));
     setUsername(entry.username);
-    if (entry.savedPassword) {
+    setJumpHosts((entry.jumpHosts || []).map((j) => ({ ...emptyJumpHost(), ...j, port: String(j.port) })));
+    setAgentForward(!!entry.agentForward);
+    setAutoReconnect(entry.autoReconnect !== false);
+    setLocalEcho(!!entry.localEcho);
+    setShellIntegration(!!entry.shellIntegration);
+    setPromptPattern(entry.promptPattern || '');
+    setKeepalive(String(entry.keepaliveInterval ?? DEFAULT_KEEPALIVE_S));
+    const fromConfig = entry.configHost && configHosts.find((h) => h.alias === entry.configHost);
+    setConfigHost(fromConfig ? { alias: fromConfig.alias, host: entry.host, identityFile: fromConfig.identityFile } : null);
+    setPendingSecret(null);
+    setPassword('');
+    if (entry.secret) {
+      setSavePassword(true);
+      if (canDecrypt(entry.secret)) {
+        decryptSecret(entry.secret).then(setPassword).catch(() => setSavePassword(false));
+      } else {
+        setPendingSecret(entry.secret);
+      }
+    } else if (entry.savedPassword) {
+      // Not migrated yet (vault still locked)
       try {
         setPassword(atob(entry.savedPassword));
         setSavePassword(true);
       } catch {
-        setPassword('');
         setSavePassword(false);
       }
     } else {
-      setPassword('');
       setSavePassword(false);
     }
     setShowDropdown(false);
-    if (entry.savedPassword) {
+    if (entry.secret || entry.savedPassword) {
       document.querySelector('.connect-btn')?.focus();
     } else {
       document.getElementById('password')?.focus();
     }
   };
 
+  const selectConfigHost = (entry) => {
+    setHost(entry.host);
+    setPort(String(entry.port));
+    if (entry.username) setUsername(entry.username);
+    setJumpHosts(entry.jumpHosts.map((j) => ({
+      ...emptyJumpHost(),
+      ...j,
+      port: String(j.port),
+      username: j.username || entry.username || '',
+    })));
+    setConfigHost({ alias: entry.alias, host: entry.host, identityFile: entry.identityFile });
+    setPassword('');
+    setSavePassword(false);
+    setShowDropdown(false);
+    document.querySelector('.connect-btn')?.focus();
+  };
+
+  const handleUnlock = async () => {
+    setVaultError('');
+    try {
+      await unlockVault(vaultPassphrase);
+    } catch (err) {
+      setVaultError(err.message);
+      return false;
+    }
+    setVaultPassphrase('');
+    setVaultUnlocked(true);
+    if (pendingSecret) {
+      setPassword(await decryptSecret(pendingSecret).catch(() => ''));
+      setPendingSecret(null);
+    }
+    return true;
+  };
+
+  const handleResetVault = () => {
+    if (!window.confirm('Reset the vault? Passwords saved with the current passphrase will be forgotten.')) return;
+    resetVault();
+    const updated = loadHistory().map(({ secret, ...entry }) => (secret?.startsWith('ss:') ? { ...entry, secret } : entry));
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(updated));
+    setHistory(updated);
+    setPendingSecret(null);
+    setVaultError('');
+  };
+
   const removeHistory = (e, entry) => {
     e.stopPropagation();
     const key = `${entry.host}:${entry.port}:${entry.username}`;
@@ -107,32 +348,160 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
     setHistory(updated);
   };
 
-  const handleSubmit = (e) => {
+  const updateJumpHost = (index, field, value) => {
+    setJumpHosts((prev) => prev.map((j, i) => (i === index ? { ...j, [field]: value } : j)));
+  };
+
+  const loadKey = (content, name) => {
+    setPrivateKey(content);
+    setKeyName(name);
+    setKeyError('');
+  };
+
+  const chooseKeyFile = async () => {
+    if (!window.proton?.openPrivateKey) {
+      keyFileRef.current?.click();
+      return;
+    }
+    try {
+      const picked = await window.proton.openPrivateKey();
+      if (picked) loadKey(picked.content, picked.path);
+    } catch (err) {
+      setKeyError(err.message);
+    }
+  };
+
+  const handleKeyFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_KEY_FILE_BYTES) {
+      setKeyError(`${file.name} is too large to be a private key`);
+      return;
+    }
+    loadKey(await file.text(), file.name);
+  };
+
+  const clearKey = () => {
+    setPrivateKey('');
+    setKeyName('');
+    setPassphrase('');
+    setKeyError('');
+  };
+
+  const promptPatternInvalid = promptPattern.trim() !== '' && !compilePromptPattern(promptPattern.trim());
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!host || !username) return;
-    const credentials = { host, port: Number(port), username, password };
-    saveToHistory({ ...credentials, savePassword });
+    if (!host || !username || promptPatternInvalid) return;
+    const credentials = {
+      host,
+      port: Number(port),
+      username,
+      password,
+      autoReconnect,
+      keepaliveInterval: keepalive === '' ? DEFAULT_KEEPALIVE_S : Number(keepalive),
+    };
+    if (privateKey.trim()) {
+      // Key material and passphrase only live in memory; `keyName` is what a restored tab remembers
+      credentials.privateKey = privateKey;
+      if (passphrase) credentials.passphrase = passphrase;
+      if (keyName) credentials.keyName = keyName;
+    }
+    const hops = jumpHosts
+      .filter((j) => j.host && j.username)
+      .map((j) => ({ ...j, port: Number(j.port) || 22 }));
+    if (hops.length > 0) credentials.jumpHosts = hops;
+    // Only keep the ssh config alias while the host still matches what it resolved to
+    if (configHost && configHost.host === host) credentials.configHost = configHost.alias;
+    if (supportsAgent && agentForward) credentials.agentForward = true;
+    if (localEcho) credentials.localEcho = true;
+    if (shellIntegration) credentials.shellIntegration = true;
+    if (promptPattern.trim()) credentials.promptPattern = promptPattern.trim();
+    let secret;
+    if (savePassword && password && vaultMode) {
+      if (!vaultUnlocked && !(await handleUnlock())) return;
+      secret = await encryptSecret(password).catch(() => undefined);
+    }
+    saveToHistory({ ...credentials, secret });
     onConnect(credentials);
   };
 
+  const updateExecTarget = (field, value) => {
+    setExecTarget((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateSerial = (field, value) => {
+    setSerial((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateSocketTarget = (field, value) => {
+    setSocketTarget((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleExecSubmit = (e) => {
+    e.preventDefault();
+    const { container, user, pod, namespace, context } = execTarget;
+    if (mode === 'telnet' || mode === 'tcp') {
+      const port = parseInt(socketTarget.port, 10) || (mode === 'telnet' ? DEFAULT_TELNET_PORT : 0);
+      if (!socketTarget.host.trim() || !port) return;
+      onConnect({ type: mode, host: socketTarget.host.trim(), port });
+    } else if (mode === 'serial') {
+      if (!serial.path) return;
+      onConnect({
+        type: 'serial',
+        path: serial.path,
+        baudRate: Number(serial.baudRate),
+        dataBits: Number(serial.dataBits),
+        parity: serial.parity,
+        stopBits: Number(serial.stopBits),
+        flowControl: serial.flowControl,
+      });
+    } else if (mode === 'docker') {
+      if (!container) return;
+      onConnect({ type: 'docker', container, ...(user ? { user } : {}) });
+    } else {
+      if (!pod) return;
+      onConnect({
+        type: 'kubectl',
+        pod,
+        ...(namespace ? { namespace } : {}),
+        ...(container ? { container } : {}),
+        ...(context ? { context } : {}),
+      });
+    }
+  };
+
   return (
     <div className="connection-form-wrapper">
       <div className="connection-form-container">
-        {/* ── Local Terminal (Proton only) ─────────── */}
-        {onLocalConnect && (
+        {/* ── Local Terminal (Proton, or web servers with local shells enabled) ── */}
+        {onLocalConnect && backends?.local && (
           <>
             <button
               type="button"
               className="local-terminal-btn"
-              onClick={onLocalConnect}
+              onClick={() => onLocalConnect(localShell || undefined)}
             >
               <span className="local-terminal-icon">⬡</span>
               <div className="local-terminal-text">
                 <span className="local-terminal-title">Local Terminal</span>
-                <span className="local-terminal-sub">Open a shell on this Mac — no login required</span>
+                <span className="local-terminal-sub">{localSubtitle}</span>
               </div>
               <span className="local-terminal-arrow">→</span>
             </button>
+            {localShells?.length > 1 && (
+              <select
+                className="local-terminal-shell"
+                value={localShell || localShells[0]}
+                onChange={(e) => setLocalShell(e.target.value)}
+                title="Shell to start"
+              >
+                {localShells.map((sh) => (
+                  <option key={sh} value={sh}>{sh}</option>
+                ))}
+              </select>
+            )}
 
             <div className="form-divider">
               <span className="form-divider-text">or connect remotely</span>
@@ -140,8 +509,206 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
           </>
         )}
 
+        {modes.length > 1 && (
+          <div className="connection-mode-tabs" role="tablist">
+            {modes.map((m) => (
+              <button
+                key={m}
+                type="button"
+                role="tab"
+                aria-selected={mode === m}
+                className={`connection-mode-tab ${mode === m ? 'connection-mode-tab--active' : ''}`}
+                onClick={() => setMode(m)}
+              >
+                {MODE_LABELS[m]}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* ── Serial console ───────────────────────── */}
+        {mode === 'serial' && (
+          <form className="connection-form" onSubmit={handleExecSubmit}>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="serial-path">Port</label>
+                <input
+                  id="serial-path"
+                  type="text"
+                  list="serial-ports"
+                  placeholder="/dev/ttyUSB0 or COM3"
+                  value={serial.path}
+                  onChange={(e) => updateSerial('path', e.target.value)}
+                  autoComplete="off"
+                  required
+                />
+                <datalist id="serial-ports">
+                  {serialPorts.map((p) => (
+                    <option key={p.path} value={p.path}>{p.manufacturer || ''}</option>
+                  ))}
+                </datalist>
+              </div>
+              <div className="serial-settings">
+                <div className="form-group">
+                  <label htmlFor="serial-baud">Baud</label>
+                  <select id="serial-baud" value={serial.baudRate} onChange={(e) => updateSerial('baudRate', e.target.value)}>
+                    {BAUD_RATES.map((rate) => <option key={rate} value={rate}>{rate}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="serial-databits">Data bits</label>
+                  <select id="serial-databits" value={serial.dataBits} onChange={(e) => updateSerial('dataBits', e.target.value)}>
+                    {['8', '7', '6', '5'].map((bits) => <option key={bits} value={bits}>{bits}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="serial-parity">Parity</label>
+                  <select id="serial-parity" value={serial.parity} onChange={(e) => updateSerial('parity', e.target.value)}>
+                    {['none', 'even', 'odd', 'mark', 'space'].map((parity) => <option key={parity} value={parity}>{parity}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="serial-stopbits">Stop bits</label>
+                  <select id="serial-stopbits" value={serial.stopBits} onChange={(e) => updateSerial('stopBits', e.target.value)}>
+                    {['1', '2'].map((bits) => <option key={bits} value={bits}>{bits}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="serial-flow">Flow control</label>
+                  <select id="serial-flow" value={serial.flowControl} onChange={(e) => updateSerial('flowControl', e.target.value)}>
+                    <option value="none">none</option>
+                    <option value="rtscts">RTS/CTS</option>
+                    <option value="xonxoff">XON/XOFF</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+
+            <button type="submit" className="connect-btn">
+              <span className="btn-icon">→</span>
+              Open console
+            </button>
+          </form>
+        )}
+
+        {/* ── Telnet / raw TCP ─────────────────────── */}
+        {(mode === 'telnet' || mode === 'tcp') && (
+          <form className="connection-form" onSubmit={handleExecSubmit}>
+            <div className="form-grid">
+              <div className="form-group host-group">
+                <label htmlFor="socket-host">Host</label>
+                <input
+                  id="socket-host"
+                  type="text"
+                  placeholder={mode === 'telnet' ? 'switch.lan or 10.0.0.1' : 'host or IP'}
+                  value={socketTarget.host}
+                  onChange={(e) => updateSocketTarget('host', e.target.value)}
+                  autoComplete="off"
+                  spellCheck={false}
+                  required
+                />
+              </div>
+              <div className="form-group port-group">
+                <label htmlFor="socket-port">Port</label>
+                <input
+                  id="socket-port"
+                  type="number"
+                  min="1"
+                  max="65535"
+                  placeholder={mode === 'telnet' ? String(DEFAULT_TELNET_PORT) : ''}
+                  value={socketTarget.port}
+                  onChange={(e) => updateSocketTarget('port', e.target.value)}
+                  required={mode === 'tcp'}
+                />
+              </div>
+            </div>
+
+            <button type="submit" className="connect-btn">
+              <span className="btn-icon">→</span>
+              Connect
+            </button>
+          </form>
+        )}
+
+        {/* ── Container / pod exec ─────────────────── */}
+        {(mode === 'docker' || mode === 'kubectl') && (
+          <form className="connection-form" onSubmit={handleExecSubmit}>
+            <div className="form-grid">
+              {mode === 'kubectl' && (
+                <div className="form-group">
+                  <label htmlFor="exec-pod">Pod</label>
+                  <input
+                    id="exec-pod"
+                    type="text"
+                    placeholder="api-7d9f8c6b5-x2kqp"
+                    value={execTarget.pod}
+                    onChange={(e) => updateExecTarget('pod', e.target.value)}
+                    autoComplete="off"
+                    required
+                  />
+                </div>
+              )}
+              {mode === 'kubectl' && (
+                <div className="form-group">
+                  <label htmlFor="exec-namespace">Namespace</label>
+                  <input
+                    id="exec-namespace"
+                    type="text"
+                    placeholder="default"
+                    value={execTarget.namespace}
+                    onChange={(e) => updateExecTarget('namespace', e.target.value)}
+                    autoComplete="off"
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label htmlFor="exec-container">Container</label>
+                <input
+                  id="exec-container"
+                  type="text"
+                  placeholder={mode === 'docker' ? 'name or ID' : 'default container'}
+                  value={execTarget.container}
+                  onChange={(e) => updateExecTarget('container', e.target.value)}
+                  autoComplete="off"
+                  required={mode === 'docker'}
+                />
+              </div>
+              {mode === 'docker' ? (
+                <div className="form-group">
+                  <label htmlFor="exec-user">User</label>
+                  <input
+                    id="exec-user"
+                    type="text"
+                    placeholder="image default"
+                    value={execTarget.user}
+                    onChange={(e) => updateExecTarget('user', e.target.value)}
+                    autoComplete="off"
+                  />
+                </div>
+              ) : (
+                <div className="form-group">
+                  <label htmlFor="exec-context">Context</label>
+                  <input
+                    id="exec-context"
+                    type="text"
+                    placeholder="current context"
+                    value={execTarget.context}
+                    onChange={(e) => updateExecTarget('context', e.target.value)}
+                    autoComplete="off"
+                  />
+                </div>
+              )}
+            </div>
+
+            <button type="submit" className="connect-btn">
+              <span className="btn-icon">→</span>
+              Open shell
+            </button>
+          </form>
+        )}
+
         {/* ── SSH Connection Form ───────────────────── */}
-        <form className="connection-form" onSubmit={handleSubmit}>
+        <form className="connection-form" onSubmit={handleSubmit} style={{ display: mode === 'ssh' ? undefined : 'none' }}>
           <div className="form-grid">
             <div className="form-group host-group">
               <label htmlFor="host">Host</label>
@@ -153,11 +720,11 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                   placeholder="192.168.1.1 or hostname"
                   value={host}
                   onChange={(e) => setHost(e.target.value)}
-                  onFocus={() => history.length > 0 && setShowDropdown(true)}
+                  onFocus={() => hasSuggestions && setShowDropdown(true)}
                   autoComplete="off"
                   required
                 />
-                {history.length > 0 && (
+                {hasSuggestions && (
                   <button
                     type="button"
                     className="dropdown-toggle"
@@ -168,7 +735,7 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                     ▾
                   </button>
                 )}
-                {showDropdown && filteredHistory.length > 0 && (
+                {showDropdown && (filteredHistory.length > 0 || filteredConfigHosts.length > 0) && (
                   <ul className="host-dropdown" ref={dropdownRef}>
                     {filteredHistory.map((entry) => (
                       <li
@@ -179,6 +746,7 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                           <span className="history-host">{entry.host}</span>
                           <span className="history-detail">
                             {entry.username}@:{entry.port}
+                            {entry.jumpHosts?.length > 0 && ` via ${entry.jumpHosts.map((j) => j.host).join(' → ')}`}
                           </span>
                         </div>
                         <button
@@ -191,6 +759,20 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                         </button>
                       </li>
                     ))}
+                    {filteredConfigHosts.length > 0 && (
+                      <li className="host-dropdown-section">~/.ssh/config</li>
+                    )}
+                    {filteredConfigHosts.map((entry) => (
+                      <li key={`config:${entry.alias}`} onClick={() => selectConfigHost(entry)}>
+                        <div className="history-entry">
+                          <span className="history-host">{entry.alias}</span>
+                          <span className="history-detail">
+                            {entry.username ? `${entry.username}@` : ''}{entry.host}:{entry.port}
+                            {entry.jumpHosts.length > 0 && ` via ${entry.jumpHosts.map((j) => j.configHost || j.host).join(' → ')}`}
+                          </span>
+                        </div>
+                      </li>
+                    ))}
                   </ul>
                 )}
               </div>
@@ -232,14 +814,219 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
               />
             </div>
 
-            <label className="save-password-toggle">
-              <input
-                type="checkbox"
-                checked={savePassword}
-                onChange={(e) => setSavePassword(e.target.checked)}
-              />
-              <span className="save-password-label">Save password</span>
-            </label>
+            {vaultMode && (
+              <label className="save-password-toggle">
+                <input
+                  type="checkbox"
+                  checked={savePassword}
+                  onChange={(e) => setSavePassword(e.target.checked)}
+                />
+                <span className="save-password-label">
+                  Save password{vaultMode === 'safeStorage' ? ' (system keychain)' : ' (encrypted vault)'}
+                </span>
+              </label>
+            )}
+
+            <div className="connection-options">
+              <label className="save-password-toggle" title="Reconnect with backoff when the connection drops">
+                <input
+                  type="checkbox"
+                  checked={autoReconnect}
+                  onChange={(e) => setAutoReconnect(e.target.checked)}
+                />
+                <span className="save-password-label">Auto-reconnect</span>
+              </label>
+              <label className="save-password-toggle" title="Show keystrokes before the server echoes them, underlined until confirmed (for high-latency links)">
+                <input
+                  type="checkbox"
+                  checked={localEcho}
+                  onChange={(e) => setLocalEcho(e.target.checked)}
+                />
+                <span className="save-password-label">Predictive echo</span>
+              </label>
+              <label className="save-password-toggle" title="Start bash, zsh or fish with prompt and exit-status markers so agent commands report exit codes (writes ~/.cache/juni-cli/ on the server; the login banner is skipped)">
+                <input
+                  type="checkbox"
+                  checked={shellIntegration}
+                  onChange={(e) => setShellIntegration(e.target.checked)}
+                />
+                <span className="save-password-label">Shell integration</span>
+              </label>
+              <label className="keepalive-field" title="Seconds between SSH keepalives (0 disables)">
+                <span className="save-password-label">Keepalive</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="3600"
+                  value={keepalive}
+                  onChange={(e) => setKeepalive(e.target.value)}
+                  aria-label="Keepalive interval in seconds"
+                />
+                <span className="save-password-label">s</span>
+              </label>
+              <label className="keepalive-field prompt-pattern-field" title="Regex matching this host's prompt, used to split output into command blocks when shell integration is off">
+                <span className="save-password-label">Prompt</span>
+                <input
+                  type="text"
+                  value={promptPattern}
+                  onChange={(e) => setPromptPattern(e.target.value)}
+                  placeholder="^\S+@\S+[$#] "
+                  spellCheck={false}
+                  aria-label="Prompt regex"
+                  aria-invalid={promptPatternInvalid}
+                />
+              </label>
+              {promptPatternInvalid && <div className="private-key-error">Prompt is not a valid regular expression</div>}
+            </div>
+
+            {vaultMode === 'passphrase' && !vaultUnlocked && (savePassword || pendingSecret) && (
+              <div className="vault-unlock">
+                <input
+                  type="password"
+                  className="private-key-passphrase"
+                  placeholder={hasVaultPassphrase() ? 'Vault passphrase' : 'Choose a vault passphrase'}
+                  value={vaultPassphrase}
+                  onChange={(e) => setVaultPassphrase(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleUnlock();
+                    }
+                  }}
+                  autoFocus={!!pendingSecret}
+                  aria-label="Vault passphrase"
+                />
+                <button type="button" className="jump-host-add" onClick={handleUnlock}>
+                  {hasVaultPassphrase() ? 'Unlock' : 'Create vault'}
+                </button>
+                {hasVaultPassphrase() && (
+                  <button type="button" className="jump-host-add" onClick={handleResetVault}>
+                    Reset
+                  </button>
+                )}
+                {vaultError && <div className="private-key-error">{vaultError}</div>}
+              </div>
+            )}
+
+            {supportsAgent && (
+              <label className="save-password-toggle" title="Authenticate with the local ssh-agent and make it available on the remote host (ssh -A)">
+                <input
+                  type="checkbox"
+                  checked={agentForward}
+                  onChange={(e) => setAgentForward(e.target.checked)}
+                />
+                <span className="save-password-label">Forward ssh-agent</span>
+              </label>
+            )}
+          </div>
+
+          {/* ── Private key ─────────────────────────── */}
+          <div className="private-key">
+            {!showKey && !privateKey ? (
+              <div className="private-key-header">
+                <button type="button" className="jump-host-add" onClick={() => setShowKey(true)}>
+                  + Use private key
+                </button>
+                {configHost?.identityFile && configHost.host === host && (
+                  <span className="private-key-name" title="IdentityFile from ~/.ssh/config, read on the server when connecting">
+                    {configHost.identityFile} (ssh config)
+                  </span>
+                )}
+              </div>
+            ) : (
+              <>
+                <div className="private-key-header">
+                  <span className="private-key-title">Private key</span>
+                  {keyName && <span className="private-key-name" title={keyName}>{keyName}</span>}
+                  <button type="button" className="jump-host-add" onClick={chooseKeyFile}>
+                    Choose file…
+                  </button>
+                  <button
+                    type="button"
+                    className="history-remove"
+                    onClick={() => { clearKey(); setShowKey(false); }}
+                    title="Remove private key"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <textarea
+                  className="private-key-input"
+                  placeholder="Paste an OpenSSH or PEM private key, or choose a file"
+                  value={privateKey}
+                  onChange={(e) => loadKey(e.target.value, '')}
+                  spellCheck="false"
+                  rows={4}
+                />
+                <input
+                  type="password"
+                  className="private-key-passphrase"
+                  placeholder="Passphrase (leave empty to be asked if needed)"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  aria-label="Private key passphrase"
+                />
+                {keyError && <div className="private-key-error">{keyError}</div>}
+                <input ref={keyFileRef} type="file" style={{ display: 'none' }} onChange={handleKeyFile} />
+              </>
+            )}
+          </div>
+
+          {/* ── Jump hosts (ProxyJump) ─────────────── */}
+          <div className="jump-hosts">
+            {jumpHosts.map((jump, i) => (
+              <div className="jump-host-row" key={i}>
+                <span className="jump-host-index" title="Connection order">{i + 1}</span>
+                <input
+                  type="text"
+                  placeholder="bastion host"
+                  value={jump.host}
+                  onChange={(e) => updateJumpHost(i, 'host', e.target.value)}
+                  aria-label={`Jump host ${i + 1} host`}
+                  required
+                />
+                <input
+                  type="number"
+                  className="jump-host-port"
+                  placeholder="22"
+                  value={jump.port}
+                  onChange={(e) => updateJumpHost(i, 'port', e.target.value)}
+                  min="1"
+                  max="65535"
+                  aria-label={`Jump host ${i + 1} port`}
+                />
+                <input
+                  type="text"
+                  placeholder="username"
+                  value={jump.username}
+                  onChange={(e) => updateJumpHost(i, 'username', e.target.value)}
+                  aria-label={`Jump host ${i + 1} username`}
+                  required
+                />
+                <input
+                  type="password"
+                  placeholder="password"
+                  value={jump.password}
+                  onChange={(e) => updateJumpHost(i, 'password', e.target.value)}
+                  aria-label={`Jump host ${i + 1} password`}
+                />
+                <button
+                  type="button"
+                  className="history-remove jump-host-remove"
+                  onClick={() => setJumpHosts((prev) => prev.filter((_, j) => j !== i))}
+                  title="Remove jump host"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="jump-host-add"
+              onClick={() => setJumpHosts((prev) => [...prev, emptyJumpHost()])}
+            >
+              + Add jump host
+            </button>
           </div>
 
           <button type="submit" className="connect-btn">
@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { formatBytes } from '../utils/formatBytes.js';
+import { socketRequest } from '../utils/socketRequest.js';
+
+const CHUNK_SIZE = 512 * 1024;
+
+function joinPath(dir, name) {
+  return `${dir.replace(/\/+$/, '')}/${name}`;
+}
+
+function parentPath(dir) {
+  const trimmed = dir.replace(/\/+$/, '');
+  const idx = trimmed.lastIndexOf('/');
+  return idx <= 0 ? '/' : trimmed.substring(0, idx);
+}
+
+const TYPE_ICONS = { dir: '📁', link: '🔗', file: '📄', other: '▫' };
+
+/**
+ * FileBrowser — SFTP file panel for an SSH session.
+ * Talks to the server over the terminal's socket using the `sftp:*` events;
+ * downloads go through the `/api/sftp/download` route so they can also be
+ * dragged out of the panel.
+ */
+export default function FileBrowser({ getSocket, serverUrl, onClose }) {
+  const [cwd, setCwd] = useState('.');
+  const [pathInput, setPathInput] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [downloadKey, setDownloadKey] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState('');
+  const [dragOver, setDragOver] = useState(false);
+  const [renaming, setRenaming] = useState(null); // { name, value }
+  const [newFolder, setNewFolder] = useState(null); // string while the input is open
+  const uploadInputRef = useRef(null);
+
+  const request = useCallback(
+    (event, args) => socketRequest(getSocket(), event, args),
+    [getSocket],
+  );
+
+  const listDir = useCallback(async (dir) => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await request('sftp:list', { path: dir });
+      const sorted = [...res.entries].sort((a, b) => {
+        if ((a.type === 'dir') !== (b.type === 'dir')) return a.type === 'dir' ? -1 : 1;
+        return a.name.localeCompare(b.name);
+      });
+      setCwd(res.path);
+      setPathInput(res.path);
+      setEntries(sorted);
+      setDownloadKey(res.downloadKey);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    listDir('.');
+  }, [listDir]);
+
+  const runAction = useCallback(async (fn) => {
+    setError('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message);
+    }
+    await listDir(cwd);
+  }, [listDir, cwd]);
+
+  const uploadFiles = useCallback((files) => runAction(async () => {
+    for (const file of files) {
+      const target = joinPath(cwd, file.name);
+      let offset = 0;
+      do {
+        const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        await request('sftp:write', { path: target, data: chunk, offset });
+        offset += chunk.byteLength;
+        setProgress(`Uploading ${file.name} — ${file.size ? Math.round((offset / file.size) * 100) : 100}%`);
+      } while (offset < file.size);
+    }
+  }).finally(() => setProgress('')), [runAction, request, cwd]);
+
+  const downloadUrl = (name) => {
+    const base = serverUrl || window.location.origin;
+    return `${base}/api/sftp/download?key=${encodeURIComponent(downloadKey)}&path=${encodeURIComponent(joinPath(cwd, name))}`;
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete ${joinPath(cwd, entry.name)}?`)) return;
+    runAction(() => request('sftp:delete', { path: joinPath(cwd, entry.name) }));
+  };
+
+  const submitRename = () => {
+    const { name, value } = renaming;
+    setRenaming(null);
+    if (!value.trim() || value === name) return;
+    const to = value.startsWith('/') ? value : joinPath(cwd, value);
+    runAction(() => request('sftp:rename', { from: joinPath(cwd, name), to }));
+  };
+
+  const submitNewFolder = () => {
+    const name = newFolder?.trim();
+    setNewFolder(null);
+    if (!name) return;
+    runAction(() => request('sftp:mkdir', { path: joinPath(cwd, name) }));
+  };
+
+  return (
+    <div className="file-browser">
+      <div className="file-browser-header">
+        <button className="file-browser-btn" onClick={() => listDir(parentPath(cwd))} title="Parent directory">↑</button>
+        <input
+          className="file-browser-path"
+          type="text"
+          value={pathInput}
+          onChange={(e) => setPathInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') listDir(pathInput); }}
+          spellCheck="false"
+        />
+        <button className="file-browser-btn" onClick={() => listDir(cwd)} title="Refresh">⟳</button>
+        <button className="file-browser-btn" onClick={() => setNewFolder('')} title="New folder">+</button>
+        <button className="file-browser-btn" onClick={() => uploadInputRef.current?.click()} title="Upload files">⇪</button>
+        <button className="file-browser-btn" onClick={onClose} title="Close file browser">✕</button>
+        <input
+          ref={uploadInputRef}
+          type="file"
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            if (files.length) uploadFiles(files);
+          }}
+        />
+      </div>
+
+      <ul
+        className={`file-browser-list ${dragOver ? 'file-browser-list--dragover' : ''}`}
+        onDragOver={(e) => {
+          if (!e.dataTransfer.types.includes('Files')) return;
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          const files = [...e.dataTransfer.files];
+          if (files.length) uploadFiles(files);
+        }}
+      >
+        {newFolder !== null && (
+          <li className="file-browser-entry">
+            <span className="file-browser-icon">📁</span>
+            <input
+              className="file-browser-rename"
+              autoFocus
+              value={newFolder}
+              placeholder="folder name"
+              onChange={(e) => setNewFolder(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitNewFolder();
+                if (e.key === 'Escape') setNewFolder(null);
+              }}
+              onBlur={() => setNewFolder(null)}
+            />
+          </li>
+        )}
+        {entries.map((entry) => (
+          <li
+            key={entry.name}
+            className={`file-browser-entry file-browser-entry--${entry.type}`}
+            draggable={entry.type === 'file'}
+            onDragStart={(e) => {
+              const url = downloadUrl(entry.name);
+              e.dataTransfer.setData('DownloadURL', `application/octet-stream:${entry.name}:${url}`);
+              e.dataTransfer.setData('text/uri-list', url);
+            }}
+            onDoubleClick={() => entry.type === 'dir' && listDir(joinPath(cwd, entry.name))}
+          >
+            <span className="file-browser-icon">{TYPE_ICONS[entry.type]}</span>
+            {renaming?.name === entry.name ? (
+              <input
+                className="file-browser-rename"
+                autoFocus
+                value={renaming.value}
+                onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') submitRename();
+                  if (e.key === 'Escape') setRenaming(null);
+                }}
+                onBlur={() => setRenaming(null)}
+              />
+            ) : (
+              <span
+                className="file-browser-name"
+                onClick={() => entry.type === 'dir' && listDir(joinPath(cwd, entry.name))}
+                title={entry.name}
+              >
+                {entry.name}
+              </span>
+            )}
+            <span className="file-browser-size">{entry.type === 'file' ? formatBytes(entry.size) : ''}</span>
+            <span className="file-browser-actions">
+              {entry.type === 'file' && (
+                <a className="file-browser-btn" href={downloadUrl(entry.name)} download={entry.name} title="Download">⇩</a>
+              )}
+              <button className="file-browser-btn" onClick={() => setRenaming({ name: entry.name, value: entry.name })} title="Rename">✎</button>
+              <button className="file-browser-btn file-browser-btn--danger" onClick={() => handleDelete(entry)} title="Delete">🗑</button>
+            </span>
+          </li>
+        ))}
+        {!loading && entries.length === 0 && !error && (
+          <li className="file-browser-empty">Empty directory — drop files here to upload</li>
+        )}
+      </ul>
+
+      {(error || progress || loading) && (
+        <div className={`file-browser-status ${error ? 'file-browser-status--error' : ''}`}>
+          {error || progress || 'Loading…'}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { socketRequest } from '../utils/socketRequest.js';
+import { formatBytes } from '../utils/formatBytes.js';
+import { resolveLinkPath, fileContext } from '../utils/terminalLinks.js';
+
+// Only the first chunk is shown; sftp:read caps a single read at 512 KB
+const MAX_VIEW_BYTES = 512 * 1024;
+
+/**
+ * FileViewer — read-only view of a remote file fetched over the session's SFTP
+ * channel, scrolled to `line` (from a clicked `path:line` link in the terminal).
+ * Relative paths resolve against `cwd` (the shell's directory, from shell integration)
+ * when known, else against the SFTP start directory (usually $HOME).
+ */
+export default function FileViewer({ getSocket, path, line, cwd, onClose, onSendToGemini }) {
+  const [content, setContent] = useState(null);
+  const [size, setSize] = useState(0);
+  const [error, setError] = useState('');
+  const lineRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    socketRequest(getSocket(), 'sftp:read', { path: resolveLinkPath(path, cwd), offset: 0, length: MAX_VIEW_BYTES })
+      .then((res) => {
+        if (cancelled) return;
+        setContent(new TextDecoder().decode(res.data));
+        setSize(res.size);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [getSocket, path, cwd]);
+
+  useEffect(() => {
+    lineRef.current?.scrollIntoView({ block: 'center' });
+  }, [content]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const lines = content?.split('\n') ?? [];
+
+  return (
+    <div className="file-viewer-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="file-viewer">
+        <div className="file-viewer-header">
+          <span className="file-viewer-path" title={path}>
+            {path}{line ? `:${line}` : ''}
+          </span>
+          {size > MAX_VIEW_BYTES && (
+            <span className="file-viewer-note">first {formatBytes(MAX_VIEW_BYTES)} of {formatBytes(size)}</span>
+          )}
+          {onSendToGemini && content !== null && (
+            <button
+              className="disconnect-btn files-btn"
+              onClick={() => {
+                onSendToGemini(fileContext(path, content, line));
+                onClose();
+              }}
+              title="Send the lines around this one to Gemini"
+            >
+              Send to Gemini
+            </button>
+          )}
+          <button className="disconnect-btn" onClick={onClose} title="Close (Escape)">✕</button>
+        </div>
+        {error && <div className="file-viewer-error">{error}</div>}
+        {!error && content === null && <div className="file-viewer-loading">Loading…</div>}
+        {content !== null && (
+          <pre className="file-viewer-body">
+            {lines.map((text, i) => (
+              <div
+                key={i}
+                ref={i + 1 === line ? lineRef : undefined}
+                className={`file-viewer-line ${i + 1 === line ? 'file-viewer-line--target' : ''}`}
+              >
+                <span className="file-viewer-lineno">{i + 1}</span>
+                <span className="file-viewer-text">{text || ' '}</span>
+              </div>
+            ))}
+          </pre>
+        )}
+      </div>
+    </div>
+  );
+}
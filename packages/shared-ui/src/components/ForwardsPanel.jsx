@@ -0,0 +1,162 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatBytes } from '../utils/formatBytes.js';
+import { socketRequest } from '../utils/socketRequest.js';
+
+const EMPTY_FORM = { type: 'local', bindHost: '127.0.0.1', bindPort: '', destHost: 'localhost', destPort: '' };
+
+/**
+ * ForwardsPanel — toolbar dropdown listing the SSH tab's port forwards
+ * (`ssh -L` / `ssh -R`) and creating new ones over the `forward:*` socket events.
+ * `forwards` is the latest list pushed by the server in `forward:update`.
+ */
+export default function ForwardsPanel({ forwards, getSocket }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const panelRef = useRef(null);
+
+  // Close panel when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setType = (type) => setForm((prev) => ({
+    ...prev,
+    type,
+    bindHost: type === 'local' ? '127.0.0.1' : 'localhost',
+    destHost: type === 'local' ? 'localhost' : '127.0.0.1',
+  }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await socketRequest(getSocket(), 'forward:create', form);
+      setForm({ ...EMPTY_FORM, type: form.type, bindHost: form.bindHost, destHost: form.destHost });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = (id) => {
+    socketRequest(getSocket(), 'forward:close', { id }).catch((err) => setError(err.message));
+  };
+
+  const active = forwards.filter((f) => f.status === 'active').length;
+
+  return (
+    <div className="share-wrapper" ref={panelRef}>
+      <button
+        className={`disconnect-btn files-btn ${open || active > 0 ? 'files-btn--active' : ''}`}
+        onClick={() => setOpen((prev) => !prev)}
+        title="Port forwarding"
+      >
+        Ports{active > 0 && <span className="forwards-count">{active}</span>}
+      </button>
+      {open && (
+        <div className="share-panel forwards-panel">
+          <div className="settings-title">Port Forwarding</div>
+
+          {forwards.length === 0 ? (
+            <p className="share-description">No forwards on this session.</p>
+          ) : (
+            <ul className="forwards-list">
+              {forwards.map((f) => (
+                <li key={f.id} className={`forwards-item forwards-item--${f.status}`}>
+                  <div className="forwards-item-main">
+                    <span className="forwards-type" title={f.type === 'local' ? 'Local (-L)' : 'Remote (-R)'}>
+                      {f.type === 'local' ? 'L' : 'R'}
+                    </span>
+                    <span className="forwards-route">
+                      {f.bindHost}:{f.bindPort} → {f.destHost}:{f.destPort}
+                    </span>
+                    <button className="forwards-close" onClick={() => handleClose(f.id)} title="Remove forward">✕</button>
+                  </div>
+                  <div className="forwards-item-stats">
+                    {f.status === 'active'
+                      ? `↑ ${formatBytes(f.bytesOut)}  ↓ ${formatBytes(f.bytesIn)}  · ${f.connections} open / ${f.totalConnections} total`
+                      : f.status}
+                  </div>
+                  {f.error && <div className="forwards-item-error">{f.error}</div>}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="forwards-form" onSubmit={handleCreate}>
+            <div className="settings-radio-group">
+              <button
+                type="button"
+                className={`settings-radio ${form.type === 'local' ? 'settings-radio--active' : ''}`}
+                onClick={() => setType('local')}
+                title="Listen on the juni server host, connect from the SSH server"
+              >
+                Local (-L)
+              </button>
+              <button
+                type="button"
+                className={`settings-radio ${form.type === 'remote' ? 'settings-radio--active' : ''}`}
+                onClick={() => setType('remote')}
+                title="Listen on the SSH server, connect from the juni server host"
+              >
+                Remote (-R)
+              </button>
+            </div>
+            <label className="settings-label">
+              {form.type === 'local' ? 'Listen on (juni server)' : 'Listen on (SSH server)'}
+            </label>
+            <div className="forwards-form-row">
+              <input
+                className="settings-input"
+                value={form.bindHost}
+                onChange={(e) => updateForm('bindHost', e.target.value)}
+                placeholder="host"
+                spellCheck="false"
+              />
+              <input
+                className="settings-input forwards-port"
+                value={form.bindPort}
+                onChange={(e) => updateForm('bindPort', e.target.value.replace(/\D/g, ''))}
+                placeholder="auto"
+              />
+            </div>
+            <label className="settings-label">Forward to</label>
+            <div className="forwards-form-row">
+              <input
+                className="settings-input"
+                value={form.destHost}
+                onChange={(e) => updateForm('destHost', e.target.value)}
+                placeholder="host"
+                spellCheck="false"
+              />
+              <input
+                className="settings-input forwards-port"
+                value={form.destPort}
+                onChange={(e) => updateForm('destPort', e.target.value.replace(/\D/g, ''))}
+                placeholder="port"
+                required
+              />
+            </div>
+            {error && <div className="forwards-item-error">{error}</div>}
+            <button className="share-start-btn" type="submit" disabled={busy || !form.destPort}>
+              {busy ? 'Starting…' : 'Add Forward'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
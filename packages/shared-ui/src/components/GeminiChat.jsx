@@ -220,19 +220,22 @@ const GeminiChat = forwardRef(function GeminiChat({
       status: 'running',
     }]);
 
-    let output = '';
+    let result = '';
     if (onRunAgentCommand) {
-      output = await onRunAgentCommand(command);
+      result = await onRunAgentCommand(command);
     } else {
-      output = '(No terminal connected for agent execution)';
+      result = '(No terminal connected for agent execution)';
     }
+    // Terminals with shell integration also report the exit code and duration
+    const { output: commandOutput, exitCode = null, durationMs = null } = typeof result === 'string' ? { output: result } : result;
+    let output = commandOutput;
 
     const timedOut = output.includes('timed out') || output.includes('waiting for input');
     const displayOutput = smartTruncate(output);
 
     setAgentSteps((prev) => prev.map((s, i) =>
       i === prev.length - 1
-        ? { ...s, output: displayOutput, status: timedOut ? 'timeout' : 'done' }
+        ? { ...s, output: displayOutput, exitCode, durationMs, status: timedOut ? 'timeout' : 'done' }
         : s
     ));
 
@@ -265,7 +268,15 @@ const GeminiChat = forwardRef(function GeminiChat({
     };
     const functionResponseEntry = {
       role: 'user',
-      parts: [{ functionResponse: { name: 'run_command', response: { output: truncatedOutput } } }],
+      parts: [{
+        functionResponse: {
+          name: 'run_command',
+          response: {
+            output: truncatedOutput,
+            ...(exitCode !== null ? { exit_code: exitCode, duration_ms: durationMs } : {}),
+          },
+        },
+      }],
     };
 
     return [...currentHistory, modelEntry, functionResponseEntry];
@@ -911,6 +922,11 @@ const GeminiChat = forwardRef(function GeminiChat({
                 </div>
                 <div className="agent-step-command">
                   {'> '}{step.command}
+                  {step.exitCode != null && (
+                    <span className={`agent-step-exit ${step.exitCode === 0 ? '' : 'agent-step-exit--failed'}`}>
+                      exit {step.exitCode} · {(step.durationMs / 1000).toFixed(1)}s
+                    </span>
+                  )}
                 </div>
                 {step.output && (
                   <pre className="agent-step-output">
@@ -1,6 +1,9 @@
-import { useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
 import { Terminal as XTerm } from '@xterm/xterm';
 import { FitAddon } from '@xterm/addon-fit';
+import { SearchAddon } from '@xterm/addon-search';
+import TerminalSearch, { isSearchShortcut } from './TerminalSearch.jsx';
+import { xtermTheme } from '../utils/themes.js';
 
 import '@xterm/xterm/css/xterm.css';
 
@@ -9,10 +12,12 @@ import '@xterm/xterm/css/xterm.css';
  * to a shared terminal session via a WebSocket relay server.
  * It receives output from the host and sends input back.
  */
-const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shareCode, isActive, status, onStatusChange, onReconnect, onClose, fontFamily, fontSize, bgColor }, ref) {
+const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shareCode, isActive, status, onStatusChange, onReconnect, onClose, fontFamily, fontSize, bgColor, theme }, ref) {
   const termRef = useRef(null);
   const xtermRef = useRef(null);
   const fitRef = useRef(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchAddon, setSearchAddon] = useState(null);
 
   useImperativeHandle(ref, () => ({
     focus: () => xtermRef.current?.focus(),
@@ -36,9 +41,9 @@ const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shar
     if (!xtermRef.current || !fitRef.current) return;
     if (fontFamily) xtermRef.current.options.fontFamily = `'${fontFamily}', monospace`;
     if (fontSize) xtermRef.current.options.fontSize = fontSize;
-    if (bgColor) xtermRef.current.options.theme = { ...xtermRef.current.options.theme, background: bgColor };
+    xtermRef.current.options.theme = xtermTheme(theme, bgColor);
     try { fitRef.current.fit(); } catch { /* not ready */ }
-  }, [fontFamily, fontSize, bgColor]);
+  }, [fontFamily, fontSize, bgColor, theme]);
 
   useEffect(() => {
     if (!shareWs) return;
@@ -49,34 +54,21 @@ const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shar
       fontFamily: fontFamily ? `'${fontFamily}', monospace` : '"Ubuntu Mono", "Fira Code", "Cascadia Code", monospace',
       fontSize: fontSize || 14,
       lineHeight: 1.35,
-      theme: {
-        background: bgColor || '#0d1117',
-        foreground: '#c9d1d9',
-        cursor: '#f0f6fc',
-        cursorAccent: '#0d1117',
-        selectionBackground: '#264f78',
-        black: '#484f58',
-        red: '#ff7b72',
-        green: '#7ee787',
-        yellow: '#d29922',
-        blue: '#58a6ff',
-        magenta: '#bc8cff',
-        cyan: '#39d353',
-        white: '#b1bac4',
-        brightBlack: '#6e7681',
-        brightRed: '#ffa198',
-        brightGreen: '#56d364',
-        brightYellow: '#e3b341',
-        brightBlue: '#79c0ff',
-        brightMagenta: '#d2a8ff',
-        brightCyan: '#56d364',
-        brightWhite: '#f0f6fc',
-      },
+      theme: xtermTheme(theme, bgColor),
     });
 
     const fit = new FitAddon();
     term.loadAddon(fit);
+    const search = new SearchAddon();
+    term.loadAddon(search);
+    setSearchAddon(search);
     term.open(termRef.current);
+    term.attachCustomKeyEventHandler((e) => {
+      if (!isSearchShortcut(e)) return true;
+      e.preventDefault();
+      setShowSearch(true);
+      return false;
+    });
 
     const safeFit = () => {
       fit.fit();
@@ -136,6 +128,8 @@ const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shar
     });
 
     return () => {
+      setShowSearch(false);
+      setSearchAddon(null);
       shareWs.removeEventListener('message', handleMessage);
       initTimers.forEach(clearTimeout);
       clearTimeout(resizeTimer);
@@ -171,6 +165,13 @@ const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shar
           </span>
         </div>
         <div className="toolbar-right">
+          <button
+            className={`disconnect-btn files-btn ${showSearch ? 'files-btn--active' : ''}`}
+            onClick={() => setShowSearch((prev) => !prev)}
+            title="Find in scrollback (Ctrl/Cmd+F)"
+          >
+            Find
+          </button>
           {status === 'disconnected' && onReconnect && (
             <button className="console-btn" onClick={onReconnect} title="Reconnect">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -184,7 +185,18 @@ const SharedTerminal = forwardRef(function SharedTerminal({ tabId, shareWs, shar
           </button>
         </div>
       </div>
-      <div className="terminal-viewport" ref={termRef} style={{ flex: 1, minHeight: 0 }} />
+      <div className="terminal-viewport-wrap">
+        <div className="terminal-viewport" ref={termRef} style={{ flex: 1, minHeight: 0 }} />
+        {showSearch && searchAddon && (
+          <TerminalSearch
+            searchAddon={searchAddon}
+            onClose={() => {
+              setShowSearch(false);
+              xtermRef.current?.focus();
+            }}
+          />
+        )}
+      </div>
     </div>
   );
 });
@@ -1,11 +1,38 @@
 import { useState, useEffect, useRef, useCallback, forwardRef, useImperativeHandle } from 'react';
 import { Terminal as XTerm } from '@xterm/xterm';
 import { FitAddon } from '@xterm/addon-fit';
+import { SearchAddon } from '@xterm/addon-search';
+import { WebLinksAddon } from '@xterm/addon-web-links';
 import { io } from 'socket.io-client';
+import FileBrowser from './FileBrowser.jsx';
+import FileViewer from './FileViewer.jsx';
+import ForwardsPanel from './ForwardsPanel.jsx';
+import TerminalSearch, { isSearchShortcut } from './TerminalSearch.jsx';
+import CommandBlockBar from './CommandBlockBar.jsx';
+import { withSavedPassword } from './ConnectionForm.jsx';
+import { connectionType, connectionLabel } from '../utils/connectionLabel.js';
+import { createLocalEcho } from '../utils/localEcho.js';
+import { createCastRecorder, castFileName } from '../utils/asciicast.js';
+import { registerFileLinks, openExternal, resolveLinkPath, fileContext } from '../utils/terminalLinks.js';
+import { createShellIntegration } from '../utils/shellIntegration.js';
+import { createCommandBlocks, blockJumpDirection } from '../utils/commandBlocks.js';
+import { socketRequest } from '../utils/socketRequest.js';
+import { xtermTheme } from '../utils/themes.js';
 
 import '@xterm/xterm/css/xterm.css';
 
 const AGENT_SENTINEL = '__JUNI_AGENT_DONE__';
+// Serial, telnet and raw TCP peers may not run a POSIX shell (switch CLIs, bootloaders): agent commands are
+// sent as typed and their output is captured until the line has been quiet for a moment.
+const QUIET_CAPTURE_TYPES = ['serial', 'telnet', 'tcp'];
+const QUIET_CAPTURE_MS = 1500;
+const AGENT_TIMEOUT_MS = 20000;
+const AGENT_TIMEOUT_MESSAGE = '(command timed out after 20s — it may be waiting for input)';
+
+// Auto-reconnect backoff: 1s, 2s, 4s … capped at 30s
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const RECONNECT_MAX_ATTEMPTS = 10;
 
 const stripAnsi = (str) => str
   .replace(/\x1b\[[\?=>!]?[0-9;]*[a-zA-Z]/g, '')
@@ -17,19 +44,48 @@ const stripAnsi = (str) => str
   .replace(/\[[\?]?[0-9;]*[a-zA-Z]/g, '')
   .replace(/\r/g, '');
 
-const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onStatusChange, onClose, fontFamily, fontSize, bgColor, serverUrl, isSharing, shareCode, viewerCount, onShareStart, onShareStop, onTerminalOutput, onSendToGemini }, ref) {
+const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onStatusChange, onClose, fontFamily, fontSize, bgColor, theme, serverUrl, isSharing, shareCode, viewerCount, onShareStart, onShareStop, onTerminalOutput, onSendToGemini, sessionId, onSessionChange, onOpenRecording, onSendTextToGemini, onInput, broadcast, onBroadcastPauseToggle }, ref) {
+  // SFTP and port forwards only exist over SSH
+  const isSsh = connectionType(connection) === 'ssh';
   const [showSharePanel, setShowSharePanel] = useState(false);
   const [reconnectCount, setReconnectCount] = useState(0);
+  const [hostKeyPrompt, setHostKeyPrompt] = useState(null);
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null);
+  const [authPrompt, setAuthPrompt] = useState(null);
+  const [showFiles, setShowFiles] = useState(false);
+  const [forwards, setForwards] = useState([]);
+  const [agentForwarding, setAgentForwarding] = useState(false);
+  const [autoReconnect, setAutoReconnect] = useState(null); // { attempt, secondsLeft } while counting down
+  const [localEcho, setLocalEcho] = useState(!!connection.localEcho);
+  const [recording, setRecording] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchAddon, setSearchAddon] = useState(null);
+  const [linkMenu, setLinkMenu] = useState(null); // { x, y, link } for a clicked file reference
+  const [viewFile, setViewFile] = useState(null); // { path, line } open in the file viewer
+  const [selectedBlock, setSelectedBlock] = useState(null); // command block picked in the gutter
   const sharePanelRef = useRef(null);
   const termRef = useRef(null);
   const xtermRef = useRef(null);
   const fitRef = useRef(null);
   const socketRef = useRef(null);
   const agentCaptureRef = useRef(null);
+  const shellIntegrationRef = useRef(null); // OSC 133 command tracking for the current xterm
+  const commandBlocksRef = useRef(null);
   const agentKeysRef = useRef(null);
+  const wasReadyRef = useRef(false);
+  const reconnectAttemptRef = useRef(0);
+  const countdownRef = useRef(null);
+  const scheduleReconnectRef = useRef(null);
+  // Server-side session this tab is attached to; survives reloads via the persisted tab
+  const sessionIdRef = useRef(sessionId || null);
+  const localEchoRef = useRef(localEcho);
+  const recorderRef = useRef(null); // asciicast recorder while recording
+  useEffect(() => { localEchoRef.current = localEcho; }, [localEcho]);
   const onTerminalOutputRef = useRef(onTerminalOutput);
   // Keep the output callback ref current on every render
   useEffect(() => { onTerminalOutputRef.current = onTerminalOutput; });
+  const onInputRef = useRef(onInput);
+  useEffect(() => { onInputRef.current = onInput; });
 
   useImperativeHandle(ref, () => ({
     focus: () => xtermRef.current?.focus(),
@@ -54,8 +110,10 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     },
     abortAgentCapture: () => {
       if (agentCaptureRef.current) {
-        const { resolve, timer, buffer } = agentCaptureRef.current;
+        const { resolve, timer, quietTimer, buffer, unsubscribe } = agentCaptureRef.current;
         clearTimeout(timer);
+        clearTimeout(quietTimer);
+        unsubscribe?.();
         agentCaptureRef.current = null;
         const raw = stripAnsi(buffer).trim();
         resolve(raw || '(aborted by user)');
@@ -136,19 +194,56 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
         agentKeysRef.current = { resolve, timer, cleanup };
       });
     },
+    /**
+     * Run `command` for the agent and resolve with its output. With shell integration
+     * at a prompt this is { output, exitCode, durationMs } read from the OSC 133 markers;
+     * otherwise the output string, delimited by a sentinel echo (or by silence).
+     */
     runAgentCommand: (command) => {
       return new Promise((resolve) => {
         if (!socketRef.current) {
           resolve('Error: terminal not connected');
           return;
         }
+        const integration = shellIntegrationRef.current;
+        // A multi-line command would run as several commands; leave those to the sentinel
+        if (integration?.atPrompt && !command.includes('\n')) {
+          const unsubscribe = integration.onCommandFinished((entry) => {
+            if (agentCaptureRef.current?.unsubscribe !== unsubscribe) return;
+            clearTimeout(agentCaptureRef.current.timer);
+            unsubscribe();
+            agentCaptureRef.current = null;
+            resolve({
+              output: integration.readOutput(entry) || '(no output)',
+              exitCode: entry.exitCode,
+              durationMs: entry.durationMs,
+            });
+          });
+          const timer = setTimeout(() => {
+            if (agentCaptureRef.current?.unsubscribe !== unsubscribe) return;
+            unsubscribe();
+            agentCaptureRef.current = null;
+            const { running } = integration;
+            const partial = running ? integration.readOutput(running) : '';
+            resolve(partial ? `${partial}\n${AGENT_TIMEOUT_MESSAGE}` : AGENT_TIMEOUT_MESSAGE);
+          }, AGENT_TIMEOUT_MS);
+          agentCaptureRef.current = { buffer: '', resolve, timer, unsubscribe };
+          socketRef.current.emit('ssh:data', `PAGER=cat ${command}\r`);
+          return;
+        }
         const timer = setTimeout(() => {
           if (agentCaptureRef.current) {
+            clearTimeout(agentCaptureRef.current.quietTimer);
             const raw = stripAnsi(agentCaptureRef.current.buffer).trim();
             agentCaptureRef.current = null;
-            resolve(raw || '(command timed out after 20s — it may be waiting for input)');
+            resolve(raw || AGENT_TIMEOUT_MESSAGE);
           }
-        }, 20000);
+        }, AGENT_TIMEOUT_MS);
+        if (QUIET_CAPTURE_TYPES.includes(connectionType(connection))) {
+          agentCaptureRef.current = { buffer: '', resolve, timer, quiet: true, quietTimer: null };
+          socketRef.current.emit('ssh:data', `${command}\r`);
+          return;
+        }
         agentCaptureRef.current = { buffer: '', resolve, timer };
         // Prefix with PAGER=cat so git log, man, etc. don't open pagers that trap the agent.
         // Send the command with sentinel on a NEW LINE so heredocs & multi-line
@@ -178,47 +273,58 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     if (!xtermRef.current || !fitRef.current) return;
     if (fontFamily) xtermRef.current.options.fontFamily = `'${fontFamily}', monospace`;
     if (fontSize) xtermRef.current.options.fontSize = fontSize;
-    if (bgColor) xtermRef.current.options.theme = { ...xtermRef.current.options.theme, background: bgColor };
+    xtermRef.current.options.theme = xtermTheme(theme, bgColor);
     try { fitRef.current.fit(); } catch { /* not ready */ }
-  }, [fontFamily, fontSize, bgColor]);
+  }, [fontFamily, fontSize, bgColor, theme]);
+
+  const setSessionId = useCallback((id) => {
+    if (sessionIdRef.current === id) return;
+    sessionIdRef.current = id;
+    onSessionChange?.(id);
+  }, [onSessionChange]);
+
+  // Closing the tab ends the server session; a reload (no unmount) leaves it to the grace period.
+  // Declared before the connection effect so its cleanup runs while the socket is still open.
+  useEffect(() => () => {
+    if (sessionIdRef.current) socketRef.current?.emit('ssh:end');
+  }, []);
 
   useEffect(() => {
     if (!serverUrl) return;
 
     const term = new XTerm({
+      allowProposedApi: true, // decorations for command block gutters
       cursorBlink: true,
       cursorStyle: 'block',
       fontFamily: fontFamily ? `'${fontFamily}', monospace` : '"Ubuntu Mono", "Fira Code", "Cascadia Code", monospace',
       fontSize: fontSize || 14,
       lineHeight: 1.35,
-      theme: {
-        background: bgColor || '#0d1117',
-        foreground: '#c9d1d9',
-        cursor: '#f0f6fc',
-        cursorAccent: '#0d1117',
-        selectionBackground: '#264f78',
-        black: '#484f58',
-        red: '#ff7b72',
-        green: '#7ee787',
-        yellow: '#d29922',
-        blue: '#58a6ff',
-        magenta: '#bc8cff',
-        cyan: '#39d353',
-        white: '#b1bac4',
-        brightBlack: '#6e7681',
-        brightRed: '#ffa198',
-        brightGreen: '#56d364',
-        brightYellow: '#e3b341',
-        brightBlue: '#79c0ff',
-        brightMagenta: '#d2a8ff',
-        brightCyan: '#56d364',
-        brightWhite: '#f0f6fc',
-      },
+      theme: xtermTheme(theme, bgColor),
     });
 
     const fit = new FitAddon();
     term.loadAddon(fit);
+    const search = new SearchAddon();
+    term.loadAddon(search);
+    setSearchAddon(search);
     term.open(termRef.current);
+    term.attachCustomKeyEventHandler((e) => {
+      const jump = blockJumpDirection(e);
+      if (jump) {
+        e.preventDefault();
+        commandBlocksRef.current?.step(jump);
+        return false;
+      }
+      if (!isSearchShortcut(e)) return true;
+      e.preventDefault();
+      setShowSearch(true);
+      return false;
+    });
+    term.loadAddon(new WebLinksAddon((_event, uri) => openExternal(uri)));
+    const fileLinks = registerFileLinks(term, (event, link) => {
+      const rect = termRef.current.parentElement.getBoundingClientRect();
+      setLinkMenu({ x: event.clientX - rect.left, y: event.clientY - rect.top, link });
+    });
 
     const safeFit = () => {
       fit.fit();
@@ -248,34 +354,110 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
 
     xtermRef.current = term;
     fitRef.current = fit;
+    const echo = createLocalEcho(term, { isEnabled: () => localEchoRef.current });
+    const shellIntegration = createShellIntegration(term);
+    shellIntegrationRef.current = shellIntegration;
+    const commandBlocks = createCommandBlocks(term, shellIntegration, {
+      promptPattern: connection.promptPattern,
+      onSelect: setSelectedBlock,
+    });
+    commandBlocksRef.current = commandBlocks;
 
-    const isLocal = connection.local;
+    const target = connectionLabel(connection, { withPort: true });
 
     term.writeln('\x1b[1;36m⬡ juni-cli-proton\x1b[0m');
-    if (isLocal) {
+    if (connectionType(connection) === 'local') {
       term.writeln('\x1b[90mOpening local shell…\x1b[0m');
     } else {
-      term.writeln(`\x1b[90mConnecting to ${connection.username}@${connection.host}:${connection.port}…\x1b[0m`);
+      const attempt = reconnectAttemptRef.current;
+      term.writeln(attempt > 0
+        ? `\x1b[90mReconnecting to ${target} (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS})…\x1b[0m`
+        : `\x1b[90mConnecting to ${target}…\x1b[0m`);
+      if (connection.jumpHosts?.length) {
+        const route = connection.jumpHosts.map((j) => `${j.username}@${j.host}:${j.port || 22}`).join(' → ');
+        term.writeln(`\x1b[90m  via ${route}\x1b[0m`);
+      }
     }
     term.writeln('');
 
-    const socket = io(serverUrl, { transports: ['websocket'] });
+    // Reconnection is driven by our own backoff below (which reattaches to the session)
+    const socket = io(serverUrl, { transports: ['websocket'], reconnection: false });
     socketRef.current = socket;
 
-    socket.on('connect', () => {
-      socket.emit('ssh:connect', connection);
+    // Each attempt starts over: only a shell reached in this attempt counts as a lost session
+    wasReadyRef.current = false;
+
+    // Fires once per attempt when the transport goes away: the socket to our server drops,
+    // or the SSH connection errors (keepalive timeout, reset). A clean exit never gets here.
+    let sessionLost = false;
+    const handleSessionLost = () => {
+      if (sessionLost) return;
+      sessionLost = true;
+      // Other backends can't be re-spawned, but a live server session can still be reattached
+      const enabled = (isSsh || !!sessionIdRef.current) && connection.autoReconnect !== false;
+      // Never reached the shell and not already retrying → auth/host key failure, don't loop
+      if (!enabled || (!wasReadyRef.current && reconnectAttemptRef.current === 0)) return;
+      scheduleReconnectRef.current?.(term);
+    };
+
+    // A new session: restored tabs carry no secrets, so take the password from the vault if it has one
+    const startSession = () => {
+      if (connection.keyName && !connection.privateKey) {
+        term.writeln(`\x1b[33mThe private key ${connection.keyName} is not kept after a reload; choose it again in a new connection if this host needs it.\x1b[0m`);
+      }
+      withSavedPassword(connection).then((credentials) => {
+        if (socket.connected) socket.emit('ssh:connect', credentials);
+      });
       safeFit();
-    });
+    };
 
+    socket.on('connect', () => {
+      if (!sessionIdRef.current) {
+        startSession();
+        return;
+      }
+      socket.emit('ssh:attach', { sessionId: sessionIdRef.current }, (res) => {
+        if (!res?.ok) {
+          setSessionId(null);
+          startSession();
+          return;
+        }
+        term.writeln('\x1b[90m── Reattached to running session ──\x1b[0m');
+        term.write(res.output);
+        onStatusChange(res.status);
+        if (res.status === 'ready') {
+          wasReadyRef.current = true;
+          reconnectAttemptRef.current = 0;
+          term.focus();
+        }
+        safeFit();
+      });
+    });
 
+    socket.on('ssh:session', ({ id }) => {
+      setSessionId(id);
+    });
 
     socket.on('ssh:output', (data) => {
-      term.write(data);
+      echo.handleOutput(data);
+      recorderRef.current?.output(data);
       // Forward to sharing relay if active
       if (onTerminalOutputRef.current) {
         onTerminalOutputRef.current(data);
       }
-      if (agentCaptureRef.current) {
+      if (agentCaptureRef.current?.quiet) {
+        const capture = agentCaptureRef.current;
+        capture.buffer += data;
+        clearTimeout(capture.quietTimer);
+        capture.quietTimer = setTimeout(() => {
+          if (agentCaptureRef.current !== capture) return;
+          clearTimeout(capture.timer);
+          agentCaptureRef.current = null;
+          // Drop the echoed command line
+          const lines = stripAnsi(capture.buffer).split('\n');
+          capture.resolve(lines.slice(1).join('\n').trim() || '(no output)');
+        }, QUIET_CAPTURE_MS);
+      } else if (agentCaptureRef.current && !agentCaptureRef.current.unsubscribe) {
         agentCaptureRef.current.buffer += data;
         const stripped = stripAnsi(agentCaptureRef.current.buffer);
         const sentinelPattern = /[\r\n]__JUNI_AGENT_DONE__/;
@@ -294,27 +476,104 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
       }
     });
 
+    socket.on('disconnect', (reason) => {
+      echo.reset();
+      if (reason !== 'io client disconnect') handleSessionLost();
+    });
+
     socket.on('ssh:status', ({ status }) => {
-      onStatusChange(status);
+      onStatusChange(status === 'detached' ? 'disconnected' : status);
       if (status === 'ready') {
         safeFit();
         term.focus();
+        wasReadyRef.current = true;
+        if (reconnectAttemptRef.current > 0) {
+          term.writeln(`\x1b[32m── Reconnected at ${new Date().toLocaleTimeString()} ──\x1b[0m`);
+          reconnectAttemptRef.current = 0;
+        }
       }
       if (status === 'disconnected') {
+        echo.reset();
+        setSessionId(null);
         term.writeln('\r\n\x1b[1;31mConnection closed.\x1b[0m');
+        // The shell ended (e.g. `exit`): that is final, so nothing afterwards reconnects it
+        sessionLost = true;
+      }
+      if (status === 'detached') {
+        // Another window reattached this session; keep its id so a reload here can take it back
+        echo.reset();
+        term.writeln('\r\n\x1b[90m── Session opened in another window ──\x1b[0m');
+        sessionLost = true;
+      }
+    });
+
+    socket.on('ssh:hop', ({ index, total, host, port, username, status, message }) => {
+      const label = `\x1b[90m[hop ${index + 1}/${total}]\x1b[0m`;
+      const target = `${username}@${host}:${port}`;
+      if (status === 'connecting') {
+        term.writeln(`${label} \x1b[90mConnecting to ${target}…\x1b[0m`);
+      } else if (status === 'authenticated') {
+        term.writeln(`${label} \x1b[32m✓ ${target}\x1b[0m`);
+      } else if (status === 'error') {
+        term.writeln(`${label} \x1b[31m✗ ${target}${message ? ` — ${message}` : ''}\x1b[0m`);
+      }
+    });
+
+    socket.on('ssh:hostkey', (info, respond) => {
+      if (info.status === 'changed') {
+        term.writeln('\r\n\x1b[1;31m@@@ WARNING: REMOTE HOST IDENTIFICATION HAS CHANGED! @@@\x1b[0m');
+        term.writeln('\x1b[31mSomeone could be eavesdropping on you right now (man-in-the-middle attack),\x1b[0m');
+        term.writeln('\x1b[31mor the host key has just been changed.\x1b[0m');
+        term.writeln(`\x1b[90mExpected ${info.expectedKeyType} ${info.expectedFingerprint}\x1b[0m`);
+        term.writeln(`\x1b[90mReceived ${info.keyType} ${info.fingerprint}\x1b[0m`);
+        term.writeln(`\x1b[90mIf the change is legitimate, remove ${info.host}:${info.port} from the server's known hosts store.\x1b[0m`);
+        return;
+      }
+      term.writeln(`\x1b[33mThe authenticity of host '${info.host}:${info.port}' can't be established.\x1b[0m`);
+      term.writeln(`\x1b[90m${info.keyType} key fingerprint is ${info.fingerprint}.\x1b[0m`);
+      setHostKeyPrompt({ ...info, respond });
+    });
+
+    socket.on('ssh:passphrase', (info, respond) => {
+      term.writeln(info.retry
+        ? '\x1b[31mBad passphrase, try again.\x1b[0m'
+        : `\x1b[33mPrivate key for ${info.username}@${info.host} is encrypted.\x1b[0m`);
+      setPassphrasePrompt({ ...info, value: '', respond });
+    });
+
+    socket.on('ssh:keyboard-interactive', (info, respond) => {
+      if (info.name) term.writeln(`\x1b[33m${info.name}\x1b[0m`);
+      if (info.instructions) term.writeln(`\x1b[90m${info.instructions.replace(/\r?\n/g, '\r\n')}\x1b[0m`);
+      setAuthPrompt({ ...info, answers: info.prompts.map(() => ''), respond });
+    });
+
+    socket.on('ssh:agent', ({ forwarding, error }) => {
+      setAgentForwarding(forwarding);
+      if (!forwarding) {
+        term.writeln(`\x1b[33mAgent forwarding was refused by the server${error ? ` (${error})` : ''}.\x1b[0m`);
       }
     });
 
+    socket.on('forward:update', ({ forwards: list }) => {
+      setForwards(list);
+    });
+
     socket.on('ssh:error', ({ message }) => {
+      echo.reset();
       term.writeln(`\r\n\x1b[1;31mError: ${message}\x1b[0m`);
       onStatusChange('error');
+      handleSessionLost();
     });
 
     term.onData((data) => {
+      commandBlocks.select(null);
+      echo.handleInput(data);
       socket.emit('ssh:data', data);
+      onInputRef.current?.(data);
     });
 
     term.onResize(({ cols, rows }) => {
+      recorderRef.current?.resize(cols, rows);
       socket.emit('ssh:resize', { cols, rows });
     });
 
@@ -337,6 +596,21 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     el.addEventListener('mousedown', handleMouseDown);
 
     return () => {
+      setShowSearch(false);
+      setSearchAddon(null);
+      setLinkMenu(null);
+      setViewFile(null);
+      fileLinks.dispose();
+      setSelectedBlock(null);
+      commandBlocks.dispose();
+      shellIntegration.dispose();
+      if (shellIntegrationRef.current === shellIntegration) shellIntegrationRef.current = null;
+      if (commandBlocksRef.current === commandBlocks) commandBlocksRef.current = null;
+      setHostKeyPrompt(null);
+      setPassphrasePrompt(null);
+      setAuthPrompt(null);
+      setForwards([]);
+      setAgentForwarding(false);
       el.removeEventListener('mousedown', handleMouseDown);
       selDisposable.dispose();
       initTimers.forEach(clearTimeout);
@@ -366,6 +640,151 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     return () => clearTimeout(timer);
   }, [isActive]);
 
+  const getSocket = useCallback(() => socketRef.current, []);
+
+  // Close the file link menu on any click outside it or Escape
+  useEffect(() => {
+    if (!linkMenu) return undefined;
+    const close = (e) => {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !e.target.closest('.terminal-link-menu')) setLinkMenu(null);
+    };
+    document.addEventListener('mousedown', close);
+    document.addEventListener('keydown', close);
+    return () => {
+      document.removeEventListener('mousedown', close);
+      document.removeEventListener('keydown', close);
+    };
+  }, [linkMenu]);
+
+  const sendFileToGemini = useCallback(async ({ path, line }) => {
+    try {
+      const target = resolveLinkPath(path, shellIntegrationRef.current?.cwd);
+      const res = await socketRequest(socketRef.current, 'sftp:read', { path: target });
+      onSendTextToGemini(fileContext(path, new TextDecoder().decode(res.data), line));
+    } catch (err) {
+      xtermRef.current?.writeln(`\r\n\x1b[31mCouldn't read ${path}: ${err.message}\x1b[0m`);
+    }
+  }, [onSendTextToGemini]);
+
+  const closeBlock = useCallback(() => {
+    commandBlocksRef.current?.select(null);
+    xtermRef.current?.focus();
+  }, []);
+
+  const rerunBlock = useCallback((block) => {
+    commandBlocksRef.current?.select(null);
+    socketRef.current?.emit('ssh:data', `${block.command}\r`);
+    xtermRef.current?.scrollToBottom();
+    xtermRef.current?.focus();
+  }, []);
+
+  // Recording: output and resizes as asciicast v2; stopping downloads the .cast and opens it in a player tab
+  const toggleRecording = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) {
+      const term = xtermRef.current;
+      if (!term) return;
+      recorderRef.current = createCastRecorder({ cols: term.cols, rows: term.rows, title: connectionLabel(connection) });
+      setRecording(true);
+      term.focus();
+      return;
+    }
+    recorderRef.current = null;
+    setRecording(false);
+    const cast = recorder.toCast();
+    const name = castFileName(connectionLabel(connection), new Date(recorder.startedAt));
+    const url = URL.createObjectURL(new Blob([cast], { type: 'application/x-asciicast' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    // Revoking right away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    onOpenRecording?.(name, cast);
+  }, [connection, onOpenRecording]);
+
+  const stopCountdown = useCallback(() => {
+    clearInterval(countdownRef.current);
+    countdownRef.current = null;
+    setAutoReconnect(null);
+  }, []);
+
+  const reconnect = useCallback(() => {
+    stopCountdown();
+    // Disconnect old socket so the useEffect cleanup runs
+    if (socketRef.current) {
+      socketRef.current.disconnect();
+      socketRef.current = null;
+    }
+    if (xtermRef.current) {
+      xtermRef.current.clear();
+    }
+    onStatusChange('connecting');
+    setReconnectCount((c) => c + 1);
+  }, [onStatusChange, stopCountdown]);
+
+  // Toolbar reconnect: drop the server session and start a fresh one
+  const restart = useCallback(() => {
+    socketRef.current?.emit('ssh:end');
+    setSessionId(null);
+    reconnect();
+  }, [reconnect, setSessionId]);
+
+  scheduleReconnectRef.current = (term) => {
+    const attempt = reconnectAttemptRef.current + 1;
+    if (attempt > RECONNECT_MAX_ATTEMPTS) {
+      term.writeln(`\x1b[31mGave up reconnecting after ${RECONNECT_MAX_ATTEMPTS} attempts.\x1b[0m`);
+      reconnectAttemptRef.current = 0;
+      return;
+    }
+    reconnectAttemptRef.current = attempt;
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+    let secondsLeft = Math.ceil(delay / 1000);
+    term.writeln(`\x1b[33mReconnecting in ${secondsLeft}s…\x1b[0m`);
+    setAutoReconnect({ attempt, secondsLeft });
+    clearInterval(countdownRef.current);
+    countdownRef.current = setInterval(() => {
+      secondsLeft -= 1;
+      if (secondsLeft > 0) {
+        setAutoReconnect({ attempt, secondsLeft });
+      } else {
+        reconnect();
+      }
+    }, 1000);
+  };
+
+  const cancelAutoReconnect = useCallback(() => {
+    stopCountdown();
+    reconnectAttemptRef.current = 0;
+    xtermRef.current?.writeln('\x1b[90mAuto-reconnect cancelled.\x1b[0m');
+  }, [stopCountdown]);
+
+  useEffect(() => () => clearInterval(countdownRef.current), []);
+
+  const answerHostKey = useCallback((accept) => {
+    if (!hostKeyPrompt) return;
+    hostKeyPrompt.respond?.({ accept });
+    xtermRef.current?.writeln(accept
+      ? `\x1b[90mPermanently added '${hostKeyPrompt.host}:${hostKeyPrompt.port}' to the list of known hosts.\x1b[0m`
+      : '\x1b[1;31mHost key rejected.\x1b[0m');
+    setHostKeyPrompt(null);
+    xtermRef.current?.focus();
+  }, [hostKeyPrompt]);
+
+  const answerPassphrase = useCallback((submit) => {
+    if (!passphrasePrompt) return;
+    passphrasePrompt.respond?.(submit ? { passphrase: passphrasePrompt.value } : { cancel: true });
+    setPassphrasePrompt(null);
+    xtermRef.current?.focus();
+  }, [passphrasePrompt]);
+
+  const answerAuthPrompt = useCallback((submit) => {
+    if (!authPrompt) return;
+    authPrompt.respond?.(submit ? { responses: authPrompt.answers } : { cancel: true });
+    setAuthPrompt(null);
+    xtermRef.current?.focus();
+  }, [authPrompt]);
+
   // Close share panel when clicking outside
   useEffect(() => {
     if (!showSharePanel) return;
@@ -380,18 +799,42 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
 
   return (
     <div
-      className="terminal-container"
-      style={{ display: isActive ? 'flex' : 'none' }}
+      className={`terminal-container ${broadcast ? 'terminal-container--broadcast' : ''} ${broadcast?.paused ? 'terminal-container--broadcast-paused' : ''}`}
+      style={{ display: isActive ? 'flex' : 'none', ...(broadcast ? { '--broadcast-color': broadcast.color } : {}) }}
     >
       <div className="terminal-toolbar">
         <div className="toolbar-left">
           {isSharing && <span className="share-indicator" title="Sharing active" />}
           <span className="terminal-title">
-            {connection.local
+            {connectionType(connection) === 'local'
               ? 'local shell'
-              : `${connection.username}@${connection.host}:${connection.port}`
+              : connectionLabel(connection, { withPort: true })
             }
           </span>
+          {connection.jumpHosts?.length > 0 && (
+            <span className="terminal-title-via">
+              via {connection.jumpHosts.map((j) => j.host).join(' → ')}
+            </span>
+          )}
+          {agentForwarding && (
+            <span className="agent-indicator" title="ssh-agent is forwarded to this host">agent</span>
+          )}
+          {broadcast && (
+            <button
+              type="button"
+              className="broadcast-indicator"
+              onClick={() => {
+                onBroadcastPauseToggle?.();
+                xtermRef.current?.focus();
+              }}
+              title={broadcast.paused
+                ? `Broadcasting paused for this tab; click to resume mirroring keystrokes with the ${broadcast.label} group`
+                : `Keystrokes are mirrored to the ${broadcast.label} group (${broadcast.members} tabs); click to pause for this tab`}
+            >
+              <span className="broadcast-indicator-dot" />
+              {broadcast.paused ? 'paused' : 'broadcast'} · {broadcast.label}
+            </button>
+          )}
           {isSharing && viewerCount > 0 && (
             <span className="share-viewer-count">{viewerCount} viewer{viewerCount !== 1 ? 's' : ''}</span>
           )}
@@ -399,18 +842,7 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
         <div className="toolbar-right">
           <button
             className="reconnect-btn"
-            onClick={() => {
-              // Disconnect old socket so the useEffect cleanup runs
-              if (socketRef.current) {
-                socketRef.current.disconnect();
-                socketRef.current = null;
-              }
-              if (xtermRef.current) {
-                xtermRef.current.clear();
-              }
-              onStatusChange('connecting');
-              setReconnectCount((c) => c + 1);
-            }}
+            onClick={restart}
             title="Reconnect SSH session"
           >
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -420,6 +852,45 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
               <path d="M20.49 15a9 9 0 0 1-14.85 3.36L1 14" />
             </svg>
           </button>
+          <button
+            className={`disconnect-btn files-btn ${showSearch ? 'files-btn--active' : ''}`}
+            onClick={() => setShowSearch((prev) => !prev)}
+            title="Find in scrollback (Ctrl/Cmd+F)"
+          >
+            Find
+          </button>
+          <button
+            className={`disconnect-btn files-btn record-btn ${recording ? 'record-btn--active' : ''}`}
+            onClick={toggleRecording}
+            title={recording ? 'Stop recording and save the .cast file' : 'Record this session (asciicast)'}
+          >
+            <span className="record-dot" />
+            {recording ? 'Stop' : 'Rec'}
+          </button>
+          <button
+            className={`disconnect-btn files-btn ${localEcho ? 'files-btn--active' : ''}`}
+            onClick={() => {
+              setLocalEcho((prev) => !prev);
+              xtermRef.current?.focus();
+            }}
+            title={localEcho
+              ? 'Predictive echo on: keystrokes show immediately, underlined until the server confirms them'
+              : 'Predictive echo: show keystrokes before the server echoes them (for high-latency links)'}
+          >
+            Echo
+          </button>
+          {isSsh && (
+            <button
+              className={`disconnect-btn files-btn ${showFiles ? 'files-btn--active' : ''}`}
+              onClick={() => setShowFiles((prev) => !prev)}
+              title={showFiles ? 'Hide file browser' : 'Browse files over SFTP'}
+            >
+              Files
+            </button>
+          )}
+          {isSsh && (
+            <ForwardsPanel key={reconnectCount} forwards={forwards} getSocket={getSocket} />
+          )}
           <div className="share-wrapper" ref={sharePanelRef}>
             <button
               className={`share-btn ${isSharing ? 'share-btn--active' : ''}`}
@@ -491,7 +962,209 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
           </button>
         </div>
       </div>
-      <div className="terminal-viewport" ref={termRef} style={{ flex: 1, minHeight: 0 }} />
+      {autoReconnect && (
+        <div className="hostkey-prompt reconnect-banner">
+          <div className="hostkey-prompt-text">
+            <div className="hostkey-prompt-title">
+              Connection lost — reconnecting in {autoReconnect.secondsLeft}s
+            </div>
+            <div className="hostkey-prompt-detail">
+              Attempt {autoReconnect.attempt} of {RECONNECT_MAX_ATTEMPTS}
+            </div>
+          </div>
+          <div className="hostkey-prompt-actions">
+            <button className="share-start-btn" onClick={reconnect}>
+              Reconnect now
+            </button>
+            <button className="settings-reset-btn" onClick={cancelAutoReconnect}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {hostKeyPrompt && (
+        <div className="hostkey-prompt">
+          <div className="hostkey-prompt-text">
+            <div className="hostkey-prompt-title">
+              Unknown host {hostKeyPrompt.host}:{hostKeyPrompt.port}
+            </div>
+            <div className="hostkey-prompt-detail">
+              {hostKeyPrompt.keyType} <code className="hostkey-fingerprint">{hostKeyPrompt.fingerprint}</code>
+            </div>
+          </div>
+          <div className="hostkey-prompt-actions">
+            <button className="share-start-btn" onClick={() => answerHostKey(true)}>
+              Trust &amp; Connect
+            </button>
+            <button className="settings-reset-btn" onClick={() => answerHostKey(false)}>
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+      {passphrasePrompt && (
+        <form
+          className="hostkey-prompt"
+          onSubmit={(e) => {
+            e.preventDefault();
+            answerPassphrase(true);
+          }}
+        >
+          <div className="hostkey-prompt-text">
+            <div className="hostkey-prompt-title">
+              {passphrasePrompt.retry ? 'Bad passphrase — ' : ''}Passphrase for {passphrasePrompt.username}@{passphrasePrompt.host}
+            </div>
+            <input
+              className="settings-input hostkey-prompt-input"
+              type="password"
+              autoFocus
+              value={passphrasePrompt.value}
+              onChange={(e) => setPassphrasePrompt({ ...passphrasePrompt, value: e.target.value })}
+              onKeyDown={(e) => { if (e.key === 'Escape') answerPassphrase(false); }}
+              aria-label="Private key passphrase"
+            />
+          </div>
+          <div className="hostkey-prompt-actions">
+            <button className="share-start-btn" type="submit">
+              Unlock
+            </button>
+            <button className="settings-reset-btn" type="button" onClick={() => answerPassphrase(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      {authPrompt && (
+        <form
+          className="hostkey-prompt"
+          onSubmit={(e) => {
+            e.preventDefault();
+            answerAuthPrompt(true);
+          }}
+        >
+          <div className="hostkey-prompt-text">
+            <div className="hostkey-prompt-title">
+              {authPrompt.name || `Authentication for ${authPrompt.username}@${authPrompt.host}`}
+            </div>
+            {authPrompt.instructions && (
+              <div className="hostkey-prompt-detail auth-prompt-instructions">{authPrompt.instructions}</div>
+            )}
+            {authPrompt.prompts.map((p, i) => (
+              <label className="auth-prompt-field" key={i}>
+                <span className="auth-prompt-label">{p.prompt}</span>
+                <input
+                  className="settings-input hostkey-prompt-input"
+                  type={p.echo ? 'text' : 'password'}
+                  autoFocus={i === 0}
+                  autoComplete={p.echo ? 'off' : 'one-time-code'}
+                  value={authPrompt.answers[i]}
+                  onChange={(e) => setAuthPrompt({
+                    ...authPrompt,
+                    answers: authPrompt.answers.map((a, j) => (j === i ? e.target.value : a)),
+                  })}
+                  onKeyDown={(e) => { if (e.key === 'Escape') answerAuthPrompt(false); }}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="hostkey-prompt-actions">
+            <button className="share-start-btn" type="submit">
+              Submit
+            </button>
+            <button className="settings-reset-btn" type="button" onClick={() => answerAuthPrompt(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      <div className="terminal-body">
+        <div className="terminal-viewport-wrap">
+          <div className="terminal-viewport" ref={termRef} style={{ flex: 1, minHeight: 0, minWidth: 0 }} />
+          {showSearch && searchAddon && (
+            <TerminalSearch
+              searchAddon={searchAddon}
+              onClose={() => {
+                setShowSearch(false);
+                xtermRef.current?.focus();
+              }}
+            />
+          )}
+          {selectedBlock && (
+            <CommandBlockBar
+              block={selectedBlock}
+              canRerun={!shellIntegrationRef.current?.running}
+              onCopyOutput={() => {
+                navigator.clipboard.writeText(commandBlocksRef.current?.readOutput(selectedBlock) ?? '');
+                closeBlock();
+              }}
+              onRerun={() => rerunBlock(selectedBlock)}
+              onSendToGemini={onSendTextToGemini && (() => {
+                onSendTextToGemini(commandBlocksRef.current.format(selectedBlock));
+                closeBlock();
+              })}
+              onStep={(direction) => commandBlocksRef.current?.step(direction)}
+              onClose={closeBlock}
+            />
+          )}
+          {linkMenu && (
+            <div className="terminal-link-menu" style={{ left: linkMenu.x, top: linkMenu.y }}>
+              <div className="terminal-link-menu-title">
+                {linkMenu.link.path}{linkMenu.link.line ? `:${linkMenu.link.line}` : ''}
+              </div>
+              {isSsh && (
+                <button
+                  onClick={() => {
+                    setViewFile({ path: linkMenu.link.path, line: linkMenu.link.line, cwd: shellIntegrationRef.current?.cwd });
+                    setLinkMenu(null);
+                  }}
+                >
+                  Open file
+                </button>
+              )}
+              {isSsh && onSendTextToGemini && (
+                <button
+                  onClick={() => {
+                    sendFileToGemini(linkMenu.link);
+                    setLinkMenu(null);
+                  }}
+                >
+                  Send to Gemini
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  const { path, line, col } = linkMenu.link;
+                  navigator.clipboard.writeText(`${path}${line ? `:${line}` : ''}${col ? `:${col}` : ''}`);
+                  setLinkMenu(null);
+                }}
+              >
+                Copy path
+              </button>
+            </div>
+          )}
+        </div>
+        {viewFile && (
+          <FileViewer
+            getSocket={getSocket}
+            path={viewFile.path}
+            line={viewFile.line}
+            cwd={viewFile.cwd}
+            onClose={() => {
+              setViewFile(null);
+              xtermRef.current?.focus();
+            }}
+            onSendToGemini={onSendTextToGemini}
+          />
+        )}
+        {showFiles && (
+          <FileBrowser
+            key={reconnectCount}
+            getSocket={getSocket}
+            serverUrl={serverUrl}
+            onClose={() => setShowFiles(false)}
+          />
+        )}
+      </div>
     </div>
   );
 });
@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+
+// Match highlights (the addon wants #RRGGBB backgrounds)
+const SEARCH_DECORATIONS = {
+  matchBackground: '#4d3b00',
+  matchBorder: '#d29922',
+  matchOverviewRuler: '#d29922',
+  activeMatchBackground: '#9e6a03',
+  activeMatchBorder: '#e3b341',
+  activeMatchColorOverviewRuler: '#e3b341',
+};
+
+/**
+ * TerminalSearch — scrollback search bar for an xterm `SearchAddon`.
+ * Enter / Shift+Enter step through matches, Escape closes.
+ */
+function TerminalSearch({ searchAddon, onClose }) {
+  const [query, setQuery] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [results, setResults] = useState(null); // { resultIndex, resultCount }
+  const [invalid, setInvalid] = useState(false);
+  const inputRef = useRef(null);
+
+  const options = useMemo(
+    () => ({ regex, caseSensitive, wholeWord, decorations: SEARCH_DECORATIONS }),
+    [regex, caseSensitive, wholeWord],
+  );
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    if (!searchAddon) return undefined;
+    const sub = searchAddon.onDidChangeResults((res) => setResults(res));
+    return () => {
+      sub.dispose();
+      searchAddon.clearDecorations();
+    };
+  }, [searchAddon]);
+
+  // Search as you type, keeping the current match when it still fits
+  useEffect(() => {
+    if (!searchAddon) return;
+    let valid = !!query;
+    if (query && regex) {
+      try {
+        new RegExp(query);
+      } catch {
+        valid = false;
+      }
+    }
+    setInvalid(!!query && !valid);
+    if (!valid) {
+      searchAddon.clearDecorations();
+      setResults(null);
+      return;
+    }
+    searchAddon.findNext(query, { ...options, incremental: true });
+  }, [searchAddon, query, options]);
+
+  const step = useCallback((backwards) => {
+    if (!searchAddon || !query || invalid) return;
+    if (backwards) searchAddon.findPrevious(query, options);
+    else searchAddon.findNext(query, options);
+  }, [searchAddon, query, invalid, options]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  let summary = '';
+  if (invalid) summary = 'Invalid regex';
+  else if (results && results.resultCount === 0) summary = 'No results';
+  else if (results && results.resultIndex < 0) summary = `${results.resultCount}+ matches`;
+  else if (results) summary = `${results.resultIndex + 1} of ${results.resultCount}`;
+
+  const toggle = (active, setActive, label, title) => (
+    <button
+      type="button"
+      className={`terminal-search-toggle ${active ? 'terminal-search-toggle--active' : ''}`}
+      onClick={() => {
+        setActive((prev) => !prev);
+        inputRef.current?.focus();
+      }}
+      title={title}
+      aria-pressed={active}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="terminal-search" onKeyDown={handleKeyDown}>
+      <input
+        ref={inputRef}
+        className={`terminal-search-input ${invalid ? 'terminal-search-input--invalid' : ''}`}
+        type="text"
+        placeholder="Find in scrollback"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        spellCheck={false}
+        aria-label="Find in scrollback"
+      />
+      {toggle(caseSensitive, setCaseSensitive, 'Aa', 'Match case')}
+      {toggle(wholeWord, setWholeWord, 'ab', 'Match whole word')}
+      {toggle(regex, setRegex, '.*', 'Use regular expression')}
+      <span className="terminal-search-count">{summary}</span>
+      <button type="button" className="terminal-search-nav" onClick={() => step(true)} title="Previous match (Shift+Enter)">↑</button>
+      <button type="button" className="terminal-search-nav" onClick={() => step(false)} title="Next match (Enter)">↓</button>
+      <button type="button" className="terminal-search-nav" onClick={onClose} title="Close (Escape)">✕</button>
+    </div>
+  );
+}
+
+/** True for Ctrl+F / Cmd+F, which opens the search bar instead of reaching the shell. */
+function isSearchShortcut(e) {
+  return e.type === 'keydown' && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'f';
+}
+
+export default TerminalSearch;
+export { isSearchShortcut };
@@ -0,0 +1,156 @@
+import { useState, useRef } from 'react';
+import { BUILTIN_THEMES, DEFAULT_LIGHT_THEME_ID } from '../utils/themes.js';
+import { importThemes } from '../utils/themeImport.js';
+
+const PREVIEW_COLORS = ['red', 'green', 'yellow', 'blue', 'magenta', 'cyan'];
+
+function ThemeOptions({ customThemes, appearance }) {
+  const matches = (t) => !appearance || t.appearance === appearance;
+  const custom = customThemes.filter(matches);
+  return (
+    <>
+      <optgroup label="Built-in">
+        {BUILTIN_THEMES.filter(matches).map((t) => (
+          <option key={t.id} value={t.id}>{t.name}</option>
+        ))}
+      </optgroup>
+      {custom.length > 0 && (
+        <optgroup label="Imported">
+          {custom.map((t) => (
+            <option key={t.id} value={t.id}>{t.name}</option>
+          ))}
+        </optgroup>
+      )}
+    </>
+  );
+}
+
+/**
+ * ThemePicker — settings-panel section for the colour scheme: built-in and imported
+ * themes, import of .itermcolors / Windows Terminal / base16 files, following the
+ * system light/dark mode, and the terminal background override.
+ *
+ * `settings` is { themeId, lightThemeId, followSystem, customThemes, bgColor };
+ * `onChange(patch)` merges into it. `theme` is the active (resolved) theme.
+ */
+function ThemePicker({ settings, onChange, theme }) {
+  const { themeId, lightThemeId, followSystem, customThemes, bgColor } = settings;
+  const [importError, setImportError] = useState('');
+  const fileRef = useRef(null);
+  const selectedCustom = customThemes.find((t) => t.id === themeId);
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = importThemes(file.name, await file.text());
+      const ids = new Set(imported.map((t) => t.id));
+      onChange({
+        customThemes: [...customThemes.filter((t) => !ids.has(t.id)), ...imported],
+        themeId: imported[0].id,
+      });
+      setImportError('');
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="settings-group">
+        <label className="settings-label">{followSystem ? 'Dark Theme' : 'Theme'}</label>
+        <div className="theme-picker-row">
+          <select
+            className="settings-select"
+            value={themeId}
+            onChange={(e) => onChange({ themeId: e.target.value })}
+          >
+            <ThemeOptions customThemes={customThemes} />
+          </select>
+          <button className="settings-reset-btn" onClick={() => fileRef.current?.click()} title="Import an iTerm2 .itermcolors, Windows Terminal .json or base16 .yaml scheme">
+            Import…
+          </button>
+          {selectedCustom && (
+            <button
+              className="settings-reset-btn"
+              onClick={() => onChange({
+                customThemes: customThemes.filter((t) => t.id !== selectedCustom.id),
+                themeId: BUILTIN_THEMES[0].id,
+              })}
+              title={`Remove ${selectedCustom.name}`}
+            >
+              Remove
+            </button>
+          )}
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".itermcolors,.json,.yaml,.yml"
+            style={{ display: 'none' }}
+            onChange={handleImport}
+          />
+        </div>
+        {importError && <div className="theme-picker-error">{importError}</div>}
+        <div className="theme-preview" style={{ background: bgColor || theme.terminal.background }}>
+          <span style={{ color: theme.terminal.foreground }}>{theme.name}</span>
+          {PREVIEW_COLORS.map((c) => (
+            <span key={c} className="theme-preview-swatch" style={{ background: theme.terminal[c] }} />
+          ))}
+        </div>
+      </div>
+
+      <div className="settings-group">
+        <label className="auto-execute-toggle">
+          <input
+            type="checkbox"
+            checked={followSystem}
+            onChange={(e) => onChange({ followSystem: e.target.checked })}
+          />
+          <span className="auto-execute-label">Follow system light / dark mode</span>
+        </label>
+        {followSystem && (
+          <>
+            <label className="settings-label" style={{ marginTop: '10px' }}>Light Theme</label>
+            <select
+              className="settings-select"
+              value={lightThemeId || DEFAULT_LIGHT_THEME_ID}
+              onChange={(e) => onChange({ lightThemeId: e.target.value })}
+            >
+              <ThemeOptions customThemes={customThemes} appearance="light" />
+            </select>
+          </>
+        )}
+      </div>
+
+      <div className="settings-group">
+        <label className="settings-label">Terminal Background</label>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <input
+            type="color"
+            value={bgColor || theme.terminal.background}
+            onChange={(e) => onChange({ bgColor: e.target.value })}
+            style={{ width: '32px', height: '32px', border: 'none', cursor: 'pointer', background: 'none' }}
+          />
+          <input
+            className="settings-input"
+            type="text"
+            value={bgColor}
+            placeholder={`${theme.terminal.background} (theme)`}
+            onChange={(e) => onChange({ bgColor: e.target.value })}
+            style={{ flex: 1 }}
+          />
+          <button
+            className="settings-reset-btn"
+            onClick={() => onChange({ bgColor: '' })}
+            title="Use the theme's background"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default ThemePicker;
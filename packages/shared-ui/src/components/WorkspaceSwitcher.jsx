@@ -0,0 +1,163 @@
+import { useState, useRef, useEffect } from 'react';
+import { serializeWorkspaces, parseWorkspaces } from '../utils/workspaces.js';
+import { connectionLabel } from '../utils/connectionLabel.js';
+
+/**
+ * WorkspaceSwitcher — header dropdown for named workspaces: open, save the current
+ * tabs and layout under a name, update or delete one, and share them as a JSON file.
+ *
+ * `onSave(name)` snapshots the app into a workspace; `onImport(workspaces)` merges parsed ones.
+ * Opening a workspace connects its tabs, so imports are only merged once the user has
+ * confirmed the targets they connect to.
+ */
+function WorkspaceSwitcher({ workspaces, current, onOpen, onSave, onDelete, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const wrapperRef = useRef(null);
+  const fileRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (workspaces.some((ws) => ws.name === trimmed) && !window.confirm(`Replace workspace "${trimmed}"?`)) return;
+    onSave(trimmed);
+    setName('');
+    setError('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeWorkspaces(workspaces)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'juni-workspaces.json';
+    a.click();
+    // Deferred so the browser has started the download first
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let imported;
+    try {
+      imported = parseWorkspaces(await file.text());
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError('');
+    const targets = imported.map((ws) => {
+      const labels = ws.tabs.filter((t) => t.type === 'ssh').map((t) => `  ${connectionLabel(t.connection, { withPort: true })}`);
+      return `${ws.name}:\n${labels.length ? labels.join('\n') : '  (no terminals)'}`;
+    });
+    if (!window.confirm(`Import ${imported.length} workspace${imported.length === 1 ? '' : 's'}? Opening one connects to:\n\n${targets.join('\n\n')}`)) return;
+    onImport(imported);
+  };
+
+  return (
+    <div className="settings-wrapper workspace-switcher" ref={wrapperRef}>
+      <button
+        className={`split-toggle ${open ? 'split-toggle--active' : ''}`}
+        onClick={() => setOpen((prev) => !prev)}
+        title="Workspaces"
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="7" height="7" rx="1" /><rect x="14" y="3" width="7" height="7" rx="1" /><rect x="3" y="14" width="7" height="7" rx="1" /><rect x="14" y="14" width="7" height="7" rx="1" /></svg>
+        <span className="workspace-switcher-name">{current || 'Workspaces'}</span>
+      </button>
+      {open && (
+        <div className="settings-panel workspace-panel">
+          <div className="settings-title">Workspaces</div>
+          {workspaces.length === 0 ? (
+            <div className="workspace-empty">No saved workspaces yet.</div>
+          ) : (
+            <ul className="workspace-list">
+              {workspaces.map((ws) => (
+                <li key={ws.name} className={`workspace-item ${ws.name === current ? 'workspace-item--current' : ''}`}>
+                  <button
+                    className="workspace-open"
+                    onClick={() => {
+                      setOpen(false);
+                      onOpen(ws);
+                    }}
+                    title={`Open ${ws.name}`}
+                  >
+                    <span className="workspace-item-name">{ws.name}</span>
+                    <span className="workspace-item-meta">
+                      {ws.tabs.length} tab{ws.tabs.length === 1 ? '' : 's'} · {new Date(ws.savedAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                  <button
+                    className="workspace-action"
+                    onClick={() => onSave(ws.name)}
+                    title={`Update ${ws.name} with the current tabs and layout`}
+                  >
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="23 4 23 10 17 10" /><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10" /></svg>
+                  </button>
+                  <button
+                    className="workspace-action workspace-action--delete"
+                    onClick={() => {
+                      if (window.confirm(`Delete workspace "${ws.name}"?`)) onDelete(ws.name);
+                    }}
+                    title={`Delete ${ws.name}`}
+                  >
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" /></svg>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="settings-group workspace-save" onSubmit={handleSave}>
+            <label className="settings-label">Save current as</label>
+            <div className="workspace-row">
+              <input
+                className="settings-input"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Workspace name"
+              />
+              <button type="submit" className="settings-reset-btn" disabled={!name.trim()}>
+                Save
+              </button>
+            </div>
+            <div className="workspace-hint">Passwords and keys are never saved.</div>
+          </form>
+
+          <div className="workspace-row">
+            <button className="settings-reset-btn" onClick={() => fileRef.current?.click()} title="Import workspaces from a JSON file">
+              Import…
+            </button>
+            <button className="settings-reset-btn" onClick={handleExport} disabled={workspaces.length === 0} title="Export all workspaces as a JSON file">
+              Export
+            </button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={handleImport}
+            />
+          </div>
+          {error && <div className="theme-picker-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
@@ -1,5 +1,20 @@
 export { default as GeminiChat } from './components/GeminiChat.jsx';
 export { default as Terminal } from './components/Terminal.jsx';
 export { default as SharedTerminal } from './components/SharedTerminal.jsx';
+export { default as CastPlayer } from './components/CastPlayer.jsx';
 export { default as ConnectionForm } from './components/ConnectionForm.jsx';
+export { default as FileBrowser } from './components/FileBrowser.jsx';
+export { default as ForwardsPanel } from './components/ForwardsPanel.jsx';
 export { smartTruncate } from './utils/smartTruncate.js';
+export { formatBytes } from './utils/formatBytes.js';
+export { connectionType, connectionLabel } from './utils/connectionLabel.js';
+export { createCastRecorder, parseCast } from './utils/asciicast.js';
+export { default as ThemePicker } from './components/ThemePicker.jsx';
+export { BUILTIN_THEMES, DEFAULT_THEME_ID, DEFAULT_LIGHT_THEME_ID, findTheme, xtermTheme, applyChromeTheme } from './utils/themes.js';
+export { importThemes } from './utils/themeImport.js';
+export { useAppTheme } from './utils/useAppTheme.js';
+export {
+  createPane, createSplit, layoutPanes, findPane, splitPane, pruneLayout, removePane, setPaneTab, setSplitRatio, layoutRects, neighborPane, restoreLayout,
+} from './utils/layoutTree.js';
+export { default as WorkspaceSwitcher } from './components/WorkspaceSwitcher.jsx';
+export { stripSecrets, createWorkspace, serializeWorkspaces, parseWorkspaces, mergeWorkspaces } from './utils/workspaces.js';
@@ -0,0 +1,75 @@
+// asciicast v2: https://docs.asciinema.org/manual/asciicast/v2/
+const CAST_VERSION = 2;
+
+/**
+ * Record terminal output and resizes as an asciicast v2 stream.
+ * Keystrokes are deliberately not recorded (they would include passwords typed
+ * at no-echo prompts); everything the viewer needs is in the output.
+ */
+function createCastRecorder({ cols, rows, title }) {
+  const startedAt = Date.now();
+  const header = {
+    version: CAST_VERSION,
+    width: cols,
+    height: rows,
+    timestamp: Math.floor(startedAt / 1000),
+    env: { TERM: 'xterm-256color' },
+    ...(title ? { title } : {}),
+  };
+  const events = [];
+  const elapsed = () => (Date.now() - startedAt) / 1000;
+
+  return {
+    startedAt,
+    output(data) {
+      events.push([elapsed(), 'o', data]);
+    },
+    resize(newCols, newRows) {
+      events.push([elapsed(), 'r', `${newCols}x${newRows}`]);
+    },
+    /** The recording so far as `.cast` file contents (newline-delimited JSON). */
+    toCast() {
+      return [header, ...events].map((line) => JSON.stringify(line)).join('\n') + '\n';
+    },
+  };
+}
+
+/**
+ * Parse `.cast` file contents → { header, events[[time, code, data]], duration }.
+ * Only output ('o') and resize ('r') events are kept. Throws on anything that isn't asciicast v2.
+ */
+function parseCast(text) {
+  const lines = text.split('\n').filter((line) => line.trim());
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error('Not an asciicast recording');
+  }
+  if (header?.version !== CAST_VERSION || !header.width || !header.height) {
+    throw new Error('Only asciicast v2 recordings are supported');
+  }
+
+  const events = [];
+  for (let i = 1; i < lines.length; i++) {
+    let event;
+    try {
+      event = JSON.parse(lines[i]);
+    } catch {
+      throw new Error(`Malformed event on line ${i + 1}`);
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number') continue;
+    if (event[1] === 'o' || event[1] === 'r') events.push(event);
+  }
+
+  return { header, events, duration: events.length ? events[events.length - 1][0] : 0 };
+}
+
+/** `web-01 2026-10-19 14-03-22.cast` */
+function castFileName(label, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  return `${(label || 'terminal').replace(/[\\/:*?"<>|@]+/g, '_')} ${stamp}.cast`;
+}
+
+export { createCastRecorder, parseCast, castFileName };
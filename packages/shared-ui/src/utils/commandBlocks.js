@@ -0,0 +1,216 @@
+import { readCommandOutput, readBufferText } from './shellIntegration.js';
+import { mix } from './themes.js';
+
+const MAX_BLOCKS = 200;
+const SCAN_DELAY_MS = 100;
+
+/** Background for the selected block: the terminal's background nudged toward its foreground. */
+function selectedBackground(term) {
+  const { background = '#0d1117', foreground = '#c9d1d9' } = term.options.theme || {};
+  return mix(background, foreground, 0.06);
+}
+
+/** Rows a block covers, from its prompt through the end of its output. */
+function blockHeight(block) {
+  const { promptMarker, endMarker, endX } = block;
+  if (!endMarker || endMarker.isDisposed) return 1;
+  return Math.max(endMarker.line - promptMarker.line + (endX > 0 ? 1 : 0), 1);
+}
+
+/** 'ok' | 'failed' | 'unknown' (prompt-regex blocks have no exit status). */
+function blockStatus(block) {
+  if (block.exitCode === null || block.exitCode === undefined) return 'unknown';
+  return block.exitCode === 0 ? 'ok' : 'failed';
+}
+
+/** The block as text for the clipboard or Gemini: `$ command`, its status and its output. */
+function formatBlock(term, block) {
+  const status = block.exitCode === null || block.exitCode === undefined
+    ? ''
+    : `(exit ${block.exitCode}${block.durationMs !== null && block.durationMs !== undefined ? `, ${(block.durationMs / 1000).toFixed(1)}s` : ''})\n`;
+  const output = readCommandOutput(term, block);
+  return `$ ${block.command}\n${status}${output ? `\n${output}` : ''}`;
+}
+
+/** A prompt regex source string as a RegExp, or null when it is empty or invalid. */
+function compilePromptPattern(source) {
+  if (!source) return null;
+  try {
+    return new RegExp(source);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Command blocks on top of an xterm: one per finished command, with a gutter
+ * marker coloured by exit status. Blocks come from the OSC 133 markers tracked by
+ * `shellIntegration`; while the shell has no integration, lines matching
+ * `promptPattern` (a regex source string) delimit them instead.
+ *
+ * `onSelect(block | null)` reports the selected block (gutter click or `step`).
+ * Returns { step(direction), select(block), readOutput(block), format(block), dispose }.
+ */
+function createCommandBlocks(term, shellIntegration, { promptPattern, onSelect } = {}) {
+  const blocks = [];
+  const decorations = new Map(); // block → gutter decoration
+  let selected = null;
+  let highlight = null;
+
+  // An invalid pattern is caught in the connection form; here it just means no fallback
+  const pattern = compilePromptPattern(promptPattern);
+
+  const renderGutter = (block, el) => {
+    // xterm owns the element (and its xterm-decoration class); only touch ours
+    const status = blockStatus(block);
+    el.classList.add('command-block-gutter');
+    for (const name of ['ok', 'failed', 'unknown']) el.classList.toggle(`command-block-gutter--${name}`, name === status);
+    el.classList.toggle('command-block-gutter--selected', block === selected);
+    el.title = block.exitCode === null || block.exitCode === undefined
+      ? block.command
+      : `${block.command}\nexit ${block.exitCode}`;
+  };
+
+  const select = (block) => {
+    const previous = selected;
+    selected = block;
+    highlight?.dispose();
+    highlight = null;
+    if (block && !block.promptMarker.isDisposed) {
+      highlight = term.registerDecoration({
+        marker: block.promptMarker,
+        width: term.cols,
+        height: blockHeight(block),
+        backgroundColor: selectedBackground(term),
+        layer: 'bottom',
+      });
+    }
+    for (const b of [previous, block]) {
+      const el = b && decorations.get(b)?.element;
+      if (el) renderGutter(b, el);
+    }
+    onSelect?.(block);
+  };
+
+  const remove = (block) => {
+    const index = blocks.indexOf(block);
+    if (index !== -1) blocks.splice(index, 1);
+    decorations.get(block)?.dispose();
+    decorations.delete(block);
+    if (selected === block) select(null);
+  };
+
+  const add = (block) => {
+    blocks.push(block);
+    const decoration = term.registerDecoration({
+      marker: block.promptMarker,
+      width: 1,
+      height: blockHeight(block),
+    });
+    if (decoration) {
+      decorations.set(block, decoration);
+      decoration.onRender((el) => {
+        renderGutter(block, el);
+        el.onmousedown = (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          select(selected === block ? null : block);
+        };
+      });
+    }
+    block.promptMarker.onDispose(() => remove(block));
+    while (blocks.length > MAX_BLOCKS) remove(blocks[0]);
+  };
+
+  const unsubscribe = shellIntegration.onCommandFinished((entry) => {
+    if (entry.promptMarker && !entry.promptMarker.isDisposed) add(entry);
+  });
+
+  /* ── Prompt regex fallback ── */
+
+  let lastPrompt = null; // { marker, matchEnd } for the newest prompt line
+  let scanMarker = null; // first line not scanned yet
+  let scanTimer = null;
+  let nextId = 1;
+
+  // Close the previous prompt's block now that the next prompt has appeared
+  const promptBlock = (prompt, nextMarker, cursorLine) => {
+    const buf = term.buffer.active;
+    let y = prompt.marker.line + 1;
+    while (y < nextMarker.line && buf.getLine(y)?.isWrapped) y++;
+    return {
+      id: `prompt-${nextId++}`,
+      command: readBufferText(term, prompt.marker.line, prompt.matchEnd, y).trim(),
+      exitCode: null,
+      durationMs: null,
+      promptMarker: prompt.marker,
+      outputMarker: y < nextMarker.line ? term.registerMarker(y - cursorLine) : nextMarker,
+      endMarker: nextMarker,
+      endX: 0,
+    };
+  };
+
+  const scan = () => {
+    const buf = term.buffer.active;
+    if (!pattern || shellIntegration.active || buf.type !== 'normal') return;
+    const cursorLine = buf.baseY + buf.cursorY;
+    const from = scanMarker && !scanMarker.isDisposed ? scanMarker.line : 0;
+    for (let y = from; y <= cursorLine; y++) {
+      const line = buf.getLine(y);
+      if (!line || line.isWrapped || (lastPrompt && y === lastPrompt.marker.line)) continue;
+      const match = pattern.exec(line.translateToString(true));
+      if (!match) continue;
+      const marker = term.registerMarker(y - cursorLine);
+      if (lastPrompt && !lastPrompt.marker.isDisposed) add(promptBlock(lastPrompt, marker, cursorLine));
+      lastPrompt = { marker, matchEnd: match.index + match[0].length };
+    }
+    // The cursor line may still change, so it is scanned again next time
+    scanMarker?.dispose();
+    scanMarker = term.registerMarker(0);
+  };
+
+  const writeParsed = term.onWriteParsed(() => {
+    if (!pattern || scanTimer) return;
+    scanTimer = setTimeout(() => {
+      scanTimer = null;
+      scan();
+    }, SCAN_DELAY_MS);
+  });
+
+  return {
+    /** Select the previous (-1) or next (+1) block and scroll its prompt into view. */
+    step(direction) {
+      const live = blocks.filter((b) => !b.promptMarker.isDisposed);
+      if (!live.length) return;
+      const current = live.indexOf(selected);
+      const index = current === -1
+        ? (direction < 0 ? live.length - 1 : 0)
+        : Math.min(Math.max(current + direction, 0), live.length - 1);
+      const block = live[index];
+      select(block);
+      term.scrollToLine(block.promptMarker.line);
+    },
+    select,
+    readOutput: (block) => readCommandOutput(term, block),
+    format: (block) => formatBlock(term, block),
+    dispose() {
+      unsubscribe();
+      writeParsed.dispose();
+      clearTimeout(scanTimer);
+      highlight?.dispose();
+      decorations.forEach((d) => d.dispose());
+      decorations.clear();
+      scanMarker?.dispose();
+    },
+  };
+}
+
+/** -1 / 1 for Ctrl+Shift+↑ / ↓ (Cmd+Shift on macOS), which jump between command blocks; 0 otherwise. */
+function blockJumpDirection(e) {
+  if (e.type !== 'keydown' || !(e.ctrlKey || e.metaKey) || !e.shiftKey || e.altKey) return 0;
+  if (e.key === 'ArrowUp') return -1;
+  if (e.key === 'ArrowDown') return 1;
+  return 0;
+}
+
+export { createCommandBlocks, compilePromptPattern, blockStatus, blockJumpDirection };
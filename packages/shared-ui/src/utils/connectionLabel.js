@@ -0,0 +1,30 @@
+/** Terminal backend for a tab's connection: 'ssh' | 'local' | 'docker' | 'kubectl' | 'serial' | 'telnet' | 'tcp' */
+function connectionType(connection) {
+  return connection?.type || (connection?.local ? 'local' : 'ssh');
+}
+
+/** Short human label for a connection, e.g. "root@db:22", "docker web", "k8s prod/api-0". */
+function connectionLabel(connection, { withPort = false } = {}) {
+  switch (connectionType(connection)) {
+    case 'local':
+      return connection.shell ? `local ${connection.shell.split('/').pop()}` : 'local';
+    case 'docker':
+      return `docker ${connection.container}`;
+    case 'kubectl':
+      return `k8s ${connection.namespace ? `${connection.namespace}/` : ''}${connection.pod}`;
+    case 'telnet':
+      return withPort ? `telnet ${connection.host}:${connection.port}` : `telnet ${connection.host}`;
+    case 'tcp':
+      return `tcp ${connection.host}:${connection.port}`;
+    case 'serial':
+      return withPort
+        ? `${connection.path} @ ${connection.baudRate || 115200}`
+        : `serial ${connection.path.split(/[\\/]/).pop()}`;
+    default:
+      return withPort
+        ? `${connection.username}@${connection.host}:${connection.port}`
+        : `${connection.username}@${connection.host}`;
+  }
+}
+
+export { connectionType, connectionLabel };
@@ -0,0 +1,142 @@
+/**
+ * Credential vault for saved connection secrets.
+ *
+ * - Proton: Electron `safeStorage` (OS keychain) through the preload bridge.
+ * - Browser (or Proton without a keychain): AES-GCM with a key derived from a
+ *   master passphrase (PBKDF2-SHA256). The derived key only lives in memory, so the
+ *   vault has to be unlocked once per page load.
+ *
+ * Ciphertexts are strings prefixed with their scheme ("ss:" or "aes1:").
+ */
+
+const VAULT_META_KEY = 'juni-cli:vault';
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_PLAINTEXT = 'juni-cli-vault';
+
+let modePromise = null;
+let passphraseKey = null;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+function loadMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_META_KEY));
+  } catch {
+    return null;
+  }
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function aesEncrypt(key, plain) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plain));
+  return `aes1:${toBase64(iv)}:${toBase64(data)}`;
+}
+
+async function aesDecrypt(key, payload) {
+  const [, iv, data] = payload.split(':');
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * 'safeStorage' | 'passphrase' | null (no secure storage, e.g. plain-http origin).
+ */
+function getVaultMode() {
+  if (!modePromise) {
+    modePromise = (async () => {
+      if (window.proton?.isSecretStorageAvailable && await window.proton.isSecretStorageAvailable()) {
+        return 'safeStorage';
+      }
+      return globalThis.crypto?.subtle ? 'passphrase' : null;
+    })();
+  }
+  return modePromise;
+}
+
+/** Whether a master passphrase has been set (passphrase mode only). */
+function hasVaultPassphrase() {
+  return !!loadMeta();
+}
+
+function isVaultUnlocked() {
+  return !!passphraseKey;
+}
+
+/**
+ * Unlock the passphrase vault, creating it on first use.
+ * Throws if the passphrase does not match the existing vault.
+ */
+async function unlockVault(passphrase) {
+  if (!passphrase) throw new Error('Enter the vault passphrase');
+  const meta = loadMeta();
+  if (!meta) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    localStorage.setItem(VAULT_META_KEY, JSON.stringify({
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await aesEncrypt(key, CHECK_PLAINTEXT),
+    }));
+    passphraseKey = key;
+    return;
+  }
+  const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+  try {
+    if (await aesDecrypt(key, meta.check) !== CHECK_PLAINTEXT) throw new Error();
+  } catch {
+    throw new Error('Wrong vault passphrase');
+  }
+  passphraseKey = key;
+}
+
+/** Forget the passphrase vault; secrets encrypted with it become unreadable. */
+function resetVault() {
+  localStorage.removeItem(VAULT_META_KEY);
+  passphraseKey = null;
+}
+
+async function encryptSecret(plain) {
+  if (await getVaultMode() === 'safeStorage') {
+    return `ss:${await window.proton.encryptSecret(plain)}`;
+  }
+  if (!passphraseKey) throw new Error('Vault is locked');
+  return aesEncrypt(passphraseKey, plain);
+}
+
+async function decryptSecret(payload) {
+  if (payload.startsWith('ss:')) {
+    return window.proton.decryptSecret(payload.slice(3));
+  }
+  if (!passphraseKey) throw new Error('Vault is locked');
+  return aesDecrypt(passphraseKey, payload);
+}
+
+/** True when `payload` can be decrypted right now without asking for a passphrase. */
+function canDecrypt(payload) {
+  return payload.startsWith('ss:') ? !!window.proton?.decryptSecret : !!passphraseKey;
+}
+
+export {
+  getVaultMode,
+  hasVaultPassphrase,
+  isVaultUnlocked,
+  unlockVault,
+  resetVault,
+  encryptSecret,
+  decryptSecret,
+  canDecrypt,
+};
@@ -0,0 +1,167 @@
+/**
+ * Tiled pane layout: a binary tree of splits whose leaves are panes showing one tab.
+ *
+ *   pane  = { type: 'pane', id, tabId }          (tabId null = empty pane)
+ *   split = { type: 'split', id, direction, ratio, children: [first, second] }
+ *
+ * `direction` is 'row' (side by side) or 'column' (stacked); `ratio` is the
+ * first child's share in percent. All operations return a new tree.
+ */
+
+const MIN_RATIO = 15;
+const MAX_RATIO = 85;
+
+let nextNodeId = 1;
+const newId = (prefix) => `${prefix}-${nextNodeId++}`;
+
+function createPane(tabId = null) {
+  return { type: 'pane', id: newId('pane'), tabId };
+}
+
+function createSplit(direction, first, second, ratio = 50) {
+  return { type: 'split', id: newId('split'), direction, ratio, children: [first, second] };
+}
+
+/** Panes in reading order (left-to-right / top-to-bottom). */
+function layoutPanes(node) {
+  if (!node) return [];
+  if (node.type === 'pane') return [node];
+  return node.children.flatMap(layoutPanes);
+}
+
+function findPane(node, predicate) {
+  return layoutPanes(node).find(predicate) || null;
+}
+
+function mapNode(node, fn) {
+  const mapped = fn(node);
+  if (mapped !== node || node.type === 'pane') return mapped;
+  const children = node.children.map((child) => mapNode(child, fn));
+  return children.every((c, i) => c === node.children[i]) ? node : { ...node, children };
+}
+
+/** Split pane `paneId`, putting `newPane` after it (right / below). */
+function splitPane(root, paneId, direction, newPane) {
+  return mapNode(root, (node) => (
+    node.type === 'pane' && node.id === paneId ? createSplit(direction, node, newPane) : node
+  ));
+}
+
+/** Remove nodes matching `predicate`; a split left with one child collapses into it. Null if nothing is left. */
+function pruneLayout(node, predicate) {
+  if (!node) return null;
+  if (node.type === 'pane') return predicate(node) ? null : node;
+  const [first, second] = node.children.map((child) => pruneLayout(child, predicate));
+  if (!first || !second) return first || second;
+  return first === node.children[0] && second === node.children[1] ? node : { ...node, children: [first, second] };
+}
+
+const removePane = (root, paneId) => pruneLayout(root, (pane) => pane.id === paneId);
+
+const setPaneTab = (root, paneId, tabId) => mapNode(root, (node) => (
+  node.type === 'pane' && node.id === paneId ? { ...node, tabId } : node
+));
+
+const setSplitRatio = (root, splitId, ratio) => mapNode(root, (node) => (
+  node.type === 'split' && node.id === splitId
+    ? { ...node, ratio: Math.min(Math.max(ratio, MIN_RATIO), MAX_RATIO) }
+    : node
+));
+
+/**
+ * Position every node inside `rect` ({ x, y, w, h } in percent of the layout area).
+ * → { panes: [{ pane, rect }], splits: [{ split, rect }] }
+ */
+function layoutRects(root, rect = { x: 0, y: 0, w: 100, h: 100 }) {
+  const panes = [];
+  const splits = [];
+  const walk = (node, r) => {
+    if (node.type === 'pane') {
+      panes.push({ pane: node, rect: r });
+      return;
+    }
+    splits.push({ split: node, rect: r });
+    const share = node.ratio / 100;
+    if (node.direction === 'row') {
+      walk(node.children[0], { ...r, w: r.w * share });
+      walk(node.children[1], { ...r, x: r.x + r.w * share, w: r.w * (1 - share) });
+    } else {
+      walk(node.children[0], { ...r, h: r.h * share });
+      walk(node.children[1], { ...r, y: r.y + r.h * share, h: r.h * (1 - share) });
+    }
+  };
+  if (root) walk(root, rect);
+  return { panes, splits };
+}
+
+/**
+ * The pane next to `paneId` in `direction` ('left' | 'right' | 'up' | 'down'):
+ * the nearest one on that side overlapping it on the other axis.
+ */
+function neighborPane(root, paneId, direction) {
+  const { panes } = layoutRects(root);
+  const from = panes.find((p) => p.pane.id === paneId)?.rect;
+  if (!from) return null;
+  const horizontal = direction === 'left' || direction === 'right';
+  const EPSILON = 0.01;
+  let best = null;
+  for (const { pane, rect } of panes) {
+    if (pane.id === paneId) continue;
+    const gap = {
+      left: from.x - (rect.x + rect.w),
+      right: rect.x - (from.x + from.w),
+      up: from.y - (rect.y + rect.h),
+      down: rect.y - (from.y + from.h),
+    }[direction];
+    if (gap < -EPSILON) continue;
+    const overlap = horizontal
+      ? Math.min(from.y + from.h, rect.y + rect.h) - Math.max(from.y, rect.y)
+      : Math.min(from.x + from.w, rect.x + rect.w) - Math.max(from.x, rect.x);
+    if (overlap <= EPSILON) continue;
+    if (!best || gap < best.gap - EPSILON || (Math.abs(gap - best.gap) <= EPSILON && overlap > best.overlap)) {
+      best = { pane, gap, overlap };
+    }
+  }
+  return best?.pane || null;
+}
+
+/**
+ * Rebuild a saved layout with fresh node ids. `resolveTab(tabId)` gives the tab
+ * each pane should show now (e.g. a re-opened tab's new id), or undefined to drop
+ * the pane because its tab is gone; malformed nodes are dropped too.
+ */
+function restoreLayout(saved, resolveTab) {
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    if (node.type === 'pane') {
+      const tabId = resolveTab(node.tabId ?? null);
+      return tabId === undefined ? null : createPane(tabId);
+    }
+    if (node.type !== 'split' || !Array.isArray(node.children) || node.children.length !== 2) return null;
+    const [first, second] = node.children.map(walk);
+    if (!first || !second) return first || second;
+    const ratio = Number(node.ratio);
+    return createSplit(
+      node.direction === 'column' ? 'column' : 'row',
+      first,
+      second,
+      Number.isFinite(ratio) ? Math.min(Math.max(ratio, MIN_RATIO), MAX_RATIO) : 50,
+    );
+  };
+  return walk(saved);
+}
+
+export {
+  createPane,
+  createSplit,
+  layoutPanes,
+  findPane,
+  splitPane,
+  pruneLayout,
+  removePane,
+  setPaneTab,
+  setSplitRatio,
+  layoutRects,
+  neighborPane,
+  restoreLayout,
+};
@@ -0,0 +1,119 @@
+// Keystrokes we are willing to guess the echo of: printable ASCII, one cell wide
+const PREDICTABLE_RE = /^[\x20-\x7e]$/;
+// Input that starts a new "epoch" (new prompt, possibly a password): hide guesses until one is confirmed
+const EPOCH_RE = /[\r\n\x03\x04]/;
+const UNDERLINE = '\x1b[4m';
+const NO_UNDERLINE = '\x1b[24m';
+
+/**
+ * Mosh-style predictive local echo for an xterm instance.
+ *
+ * Printable keystrokes typed at the end of the current line are drawn immediately,
+ * underlined until the server echoes them back. Server output is routed through
+ * `handleOutput`, which confirms matching predictions and rolls back the rest.
+ * Prediction is suspended in alternate-screen apps (vim, less, htop), after cursor
+ * movement or other control input until the server catches up, and after Enter
+ * until the server has echoed a keystroke again (so password prompts stay blank).
+ *
+ * `isEnabled()` is read on every keystroke, so it can be toggled mid-session.
+ */
+function createLocalEcho(term, { isEnabled }) {
+  let pending = ''; // predicted characters not yet echoed by the server
+  let start = null; // { x, y } viewport cell of pending[0]
+  let shown = false; // whether `pending` is currently drawn
+  let awaitingEcho = true; // new epoch: predictions stay hidden until the server echoes one
+  let blocked = false; // control input sent: no predictions until the server has answered
+  let inFlight = 0; // writes xterm has not parsed yet; the buffer's cursor lags behind them
+
+  const write = (data) => {
+    inFlight += 1;
+    term.write(data, () => { inFlight -= 1; });
+  };
+
+  const moveTo = ({ x, y }) => `\x1b[${y + 1};${x + 1}H`;
+
+  const atEndOfLine = () => {
+    const buf = term.buffer.active;
+    const line = buf.getLine(buf.baseY + buf.cursorY);
+    return !line || line.translateToString(true).length <= buf.cursorX;
+  };
+
+  const clear = () => {
+    pending = '';
+    start = null;
+    shown = false;
+    blocked = false;
+  };
+
+  const rollback = () => {
+    if (shown) write(`${moveTo(start)}\x1b[K`);
+    clear();
+  };
+
+  /** Call with every keystroke before it is sent to the server. */
+  const handleInput = (data) => {
+    if (!PREDICTABLE_RE.test(data)) {
+      blocked = true;
+      if (EPOCH_RE.test(data)) awaitingEcho = true;
+      return;
+    }
+    if (!isEnabled() || blocked || term.buffer.active.type === 'alternate') return;
+
+    if (!pending) {
+      if (inFlight > 0 || !atEndOfLine()) return;
+      start = { x: term.buffer.active.cursorX, y: term.buffer.active.cursorY };
+    }
+    // Never guess across a line wrap
+    if (start.x + pending.length + 1 >= term.cols) return;
+
+    pending += data;
+    if (!awaitingEcho) {
+      write(`${UNDERLINE}${data}${NO_UNDERLINE}`);
+      shown = true;
+    }
+  };
+
+  /** Call with every chunk of server output instead of `term.write`. */
+  const handleOutput = (data) => {
+    if (!pending) {
+      blocked = false;
+      write(data);
+      return;
+    }
+
+    let echoed = 0;
+    while (echoed < data.length && echoed < pending.length && data[echoed] === pending[echoed]) echoed++;
+
+    if (echoed < data.length) {
+      // Not (only) our echo: password prompt, completion, redraw… let the server's output stand
+      rollback();
+      if (echoed === 0) awaitingEcho = true;
+      write(data);
+      return;
+    }
+
+    const remaining = pending.slice(echoed);
+    if (shown) {
+      // Redraw the confirmed cells without the underline and keep the cursor after the guesses
+      write(`${moveTo(start)}${data}${remaining ? `\x1b[${remaining.length}C` : ''}`);
+    } else {
+      write(data);
+      if (remaining) write(`${UNDERLINE}${remaining}${NO_UNDERLINE}`);
+      shown = !!remaining;
+    }
+    awaitingEcho = false;
+    pending = remaining;
+    start = { x: start.x + echoed, y: start.y };
+    if (!pending) clear();
+  };
+
+  /** Erase any unconfirmed predictions (e.g. before writing a status line). */
+  const reset = () => {
+    rollback();
+    awaitingEcho = true;
+  };
+
+  return { handleInput, handleOutput, reset };
+}
+
+export { createLocalEcho };
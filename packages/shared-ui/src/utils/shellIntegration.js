@@ -0,0 +1,159 @@
+// OSC 133 semantic prompt markers, emitted by the server's shell integration scripts:
+// A prompt start · B command line start · C output start · D;<exit> command finished
+const OSC_SEMANTIC_PROMPT = 133;
+// file://host/dir — the shell's current directory
+const OSC_CURRENT_DIR = 7;
+const MAX_COMMANDS = 200;
+
+/** Text of buffer rows [fromLine, toLine), starting at column `fromX` on the first; wrapped rows are joined. */
+function readBufferText(term, fromLine, fromX, toLine) {
+  const buf = term.buffer.active;
+  let text = '';
+  for (let y = fromLine; y < toLine; y++) {
+    const line = buf.getLine(y);
+    if (!line) continue;
+    if (y > fromLine && !line.isWrapped) text += '\n';
+    // Keep trailing blanks on a row that wraps into the next: they are part of the text
+    const wraps = !!buf.getLine(y + 1)?.isWrapped && y + 1 < toLine;
+    text += line.translateToString(!wraps, y === fromLine ? fromX : 0);
+  }
+  return text;
+}
+
+/**
+ * Output of a command entry { outputMarker, endMarker?, endX? } as plain text:
+ * up to the end marker, or to the cursor while it is still running. '' once it left the scrollback.
+ */
+function readCommandOutput(term, entry) {
+  const start = entry.outputMarker;
+  if (!start || start.isDisposed || start.line < 0) return '';
+  const end = entry.endMarker;
+  const buf = term.buffer.active;
+  if (!end || end.isDisposed) {
+    return readBufferText(term, start.line, 0, buf.baseY + buf.cursorY + 1).replace(/\s+$/, '');
+  }
+  let text = readBufferText(term, start.line, 0, end.line);
+  // D arrived mid-line when the output had no trailing newline; the prompt follows on that line
+  if (entry.endX > 0) {
+    text += (text ? '\n' : '') + (buf.getLine(end.line)?.translateToString(true, 0, entry.endX) ?? '');
+  }
+  return text.replace(/\s+$/, '');
+}
+
+/**
+ * Track prompts and commands in `term` from OSC 133 markers.
+ *
+ * Each finished command becomes
+ * { id, command, exitCode, startedAt, endedAt, durationMs, promptMarker, commandMarker, outputMarker, endMarker }
+ * where the markers are xterm line markers (they follow scrolling and are disposed
+ * once their line leaves the scrollback). The last `MAX_COMMANDS` are kept.
+ * `cwd` is the directory from the last OSC 7 report, or null until one arrives.
+ */
+function createShellIntegration(term) {
+  const commands = [];
+  const listeners = new Set();
+  let active = false; // any marker seen: the shell has integration loaded
+  let atPrompt = false; // between A/B and C, i.e. the shell is waiting for a command line
+  let pending = null; // prompt shown, command not submitted yet
+  let running = null; // submitted, not finished yet
+  let nextId = 1;
+  let cwd = null;
+
+  const marker = () => term.registerMarker(0);
+
+  const handlers = {
+    A() {
+      atPrompt = true;
+      pending = { promptMarker: marker(), commandMarker: null, commandX: 0 };
+    },
+    B() {
+      if (!pending) pending = { promptMarker: marker() };
+      pending.commandMarker = marker();
+      pending.commandX = term.buffer.active.cursorX;
+    },
+    C() {
+      atPrompt = false;
+      const outputMarker = marker();
+      const from = pending?.commandMarker;
+      running = {
+        id: nextId++,
+        command: from && outputMarker ? readBufferText(term, from.line, pending.commandX, outputMarker.line).trim() : '',
+        exitCode: null,
+        startedAt: Date.now(),
+        promptMarker: pending?.promptMarker ?? null,
+        commandMarker: from ?? null,
+        outputMarker,
+      };
+      pending = null;
+    },
+    D(args) {
+      if (!running) return; // the prompt after startup or after an empty line
+      const entry = running;
+      running = null;
+      const code = parseInt(args[0], 10);
+      entry.exitCode = Number.isNaN(code) ? null : code;
+      entry.endedAt = Date.now();
+      entry.durationMs = entry.endedAt - entry.startedAt;
+      entry.endMarker = marker();
+      entry.endX = term.buffer.active.cursorX;
+      commands.push(entry);
+      while (commands.length > MAX_COMMANDS) commands.shift();
+      listeners.forEach((cb) => cb(entry));
+    },
+  };
+
+  const oscHandler = term.parser.registerOscHandler(OSC_SEMANTIC_PROMPT, (data) => {
+    const [kind, ...args] = data.split(';');
+    if (!handlers[kind]) return false;
+    active = true;
+    handlers[kind](args);
+    return true;
+  });
+
+  const cwdHandler = term.parser.registerOscHandler(OSC_CURRENT_DIR, (data) => {
+    const m = /^file:\/\/[^/]*(\/.*)$/.exec(data);
+    if (!m) return false;
+    try {
+      cwd = decodeURIComponent(m[1]);
+    } catch {
+      cwd = m[1]; // the integration scripts send $PWD as is
+    }
+    return true;
+  });
+
+  return {
+    get active() { return active; },
+    /** True when the shell is showing a prompt and a typed line will run as a command. */
+    get atPrompt() { return active && atPrompt; },
+    get running() { return running; },
+    get commands() { return commands; },
+    get cwd() { return cwd; },
+
+    /** Output of a finished (or the running) command as plain text; '' once it left the scrollback. */
+    readOutput: (entry) => readCommandOutput(term, entry),
+
+    /** Subscribe to finished commands; returns an unsubscribe function. */
+    onCommandFinished(cb) {
+      listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+
+    /** Forget everything, e.g. when a reconnect replaces the shell. */
+    reset() {
+      commands.length = 0;
+      active = false;
+      atPrompt = false;
+      pending = null;
+      running = null;
+      cwd = null;
+    },
+
+    dispose() {
+      oscHandler.dispose();
+      cwdHandler.dispose();
+      listeners.clear();
+    },
+  };
+}
+
+export { createShellIntegration, readCommandOutput, readBufferText };
@@ -0,0 +1,21 @@
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Emit a socket.io event and resolve with its acknowledgement.
+ * Rejects if the socket is down, the ack times out, or the ack carries { error }.
+ */
+function socketRequest(socket, event, args, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    if (!socket?.connected) {
+      reject(new Error('Terminal is not connected'));
+      return;
+    }
+    socket.timeout(timeoutMs).emit(event, args, (err, res) => {
+      if (err) reject(new Error(`${event} timed out`));
+      else if (res?.error) reject(new Error(res.error));
+      else resolve(res);
+    });
+  });
+}
+
+export { socketRequest };
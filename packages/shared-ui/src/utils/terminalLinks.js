@@ -0,0 +1,100 @@
+// Bare `name.ext:line` only counts as a file for these extensions; with a `/` anywhere it always does
+const SOURCE_EXTENSIONS = new Set([
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'vue', 'svelte', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'scala',
+  'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'php', 'swift', 'm', 'sh', 'bash', 'zsh', 'pl', 'lua', 'ex', 'exs',
+  'erl', 'hs', 'ml', 'clj', 'dart', 'json', 'yaml', 'yml', 'toml', 'conf', 'ini', 'xml', 'html', 'css',
+  'scss', 'sql', 'md', 'txt', 'log',
+]);
+
+// path:line[:col] (gcc, Node, Go, Rust, Ruby, Java frames…) and .NET's "path:line N"
+const PATH_LINE_RE = /(?<![\w/.:~-])((?:~|\.{1,2})?\/?[\w.@+-]+(?:\/[\w.@+-]+)*\.([A-Za-z][A-Za-z0-9]*))(?::(\d+)(?::(\d+))?|:line (\d+))/g;
+// Python tracebacks: File "/app/main.py", line 12, in handler
+const PYTHON_FRAME_RE = /File "([^"]+)", line (\d+)/g;
+
+// Lines of context sent to Gemini on either side of the linked line
+const CONTEXT_LINES = 100;
+
+/**
+ * Find file references in one line of terminal text.
+ * → [{ start, end, text, path, line, col? }] with string offsets, in order.
+ */
+function findFileLinks(text) {
+  const links = [];
+  for (const m of text.matchAll(PYTHON_FRAME_RE)) {
+    links.push({ start: m.index, end: m.index + m[0].length, text: m[0], path: m[1], line: Number(m[2]) });
+  }
+  for (const m of text.matchAll(PATH_LINE_RE)) {
+    const [match, path, ext, line, col, dotnetLine] = m;
+    if (!path.includes('/') && !SOURCE_EXTENSIONS.has(ext.toLowerCase())) continue;
+    const start = m.index;
+    if (links.some((l) => start < l.end && l.start < start + match.length)) continue;
+    links.push({
+      start,
+      end: start + match.length,
+      text: match,
+      path,
+      line: Number(line || dotnetLine),
+      ...(col ? { col: Number(col) } : {}),
+    });
+  }
+  return links.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Register an xterm link provider for file references. `activate(event, link)` runs on click.
+ * Returns the provider's disposable.
+ */
+function registerFileLinks(term, activate) {
+  return term.registerLinkProvider({
+    provideLinks(y, callback) {
+      const bufferLine = term.buffer.active.getLine(y - 1);
+      if (!bufferLine) {
+        callback(undefined);
+        return;
+      }
+      const links = findFileLinks(bufferLine.translateToString(true)).map((link) => ({
+        range: { start: { x: link.start + 1, y }, end: { x: link.end, y } },
+        text: link.text,
+        decorations: { underline: true, pointerCursor: true },
+        activate: (event) => activate(event, link),
+      }));
+      callback(links.length ? links : undefined);
+    },
+  });
+}
+
+/** Open a URL in the system browser (Proton) or a new browser tab (web). */
+function openExternal(url) {
+  if (window.proton?.openExternal) window.proton.openExternal(url);
+  else window.open(url, '_blank', 'noopener,noreferrer');
+}
+
+/**
+ * The path to read over SFTP for a link: relative paths resolve against the shell's
+ * directory `cwd` when shell integration reported one; otherwise (and for `~/`) they
+ * stay relative, i.e. resolve against the SFTP start directory (usually $HOME).
+ */
+function resolveLinkPath(path, cwd) {
+  if (path.startsWith('~/')) return path.slice(2);
+  if (path.startsWith('/') || !cwd) return path;
+  const parts = cwd.split('/').filter(Boolean);
+  for (const part of path.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return `/${parts.join('/')}`;
+}
+
+/** Text sent to Gemini for a file reference: the lines around `line`, numbered. */
+function fileContext(path, content, line) {
+  const lines = content.split('\n');
+  const from = line ? Math.max(line - 1 - CONTEXT_LINES, 0) : 0;
+  const to = line ? Math.min(line + CONTEXT_LINES, lines.length) : Math.min(CONTEXT_LINES * 2, lines.length);
+  const width = String(to).length;
+  const body = lines.slice(from, to)
+    .map((text, i) => `${String(from + i + 1).padStart(width)}${from + i + 1 === line ? ' >' : '  '} ${text}`)
+    .join('\n');
+  return `File ${path}${line ? ` (line ${line})` : ''}, lines ${from + 1}-${to} of ${lines.length}:\n\n${body}`;
+}
+
+export { findFileLinks, registerFileLinks, openExternal, resolveLinkPath, fileContext };
@@ -0,0 +1,108 @@
+import { ANSI_NAMES, defineTheme } from './themes.js';
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+const customId = (name) => `custom-${slug(name)}`;
+const HEX_RE = /^#?[0-9a-f]{6}$/i;
+const isHex = (value) => typeof value === 'string' && HEX_RE.test(value);
+const hex = (value) => `#${value.replace(/^#/, '').toLowerCase()}`;
+
+/* ── iTerm2 (.itermcolors) ── */
+
+// plist: <key>Ansi 0 Color</key><dict><key>Red Component</key><real>0.2</real>…</dict>
+const ITERM_ENTRY_RE = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+const ITERM_COMPONENT_RE = /<key>(Red|Green|Blue) Component<\/key>\s*<real>([^<]+)<\/real>/g;
+
+function parseItermColors(text, name) {
+  const colors = {};
+  for (const [, key, body] of text.matchAll(ITERM_ENTRY_RE)) {
+    const rgb = { Red: 0, Green: 0, Blue: 0 };
+    for (const [, channel, value] of body.matchAll(ITERM_COMPONENT_RE)) rgb[channel] = Number(value);
+    colors[key.trim()] = `#${['Red', 'Green', 'Blue']
+      .map((c) => Math.round(Math.min(Math.max(rgb[c], 0), 1) * 255).toString(16).padStart(2, '0'))
+      .join('')}`;
+  }
+  const ansi = ANSI_NAMES.map((_, i) => colors[`Ansi ${i} Color`]);
+  if (!colors['Background Color'] || !colors['Foreground Color'] || ansi.some((c) => !c)) {
+    throw new Error('Not an iTerm2 color scheme (missing background, foreground or ANSI colors)');
+  }
+  return [defineTheme(customId(name), name, {
+    background: colors['Background Color'],
+    foreground: colors['Foreground Color'],
+    cursor: colors['Cursor Color'],
+    selection: colors['Selection Color'] || colors['Ansi 8 Color'],
+  }, ansi)];
+}
+
+/* ── Windows Terminal (scheme object, array, or settings.json with "schemes") ── */
+
+// Windows Terminal calls magenta "purple"
+const WT_KEYS = ANSI_NAMES.map((n) => n.replace('magenta', 'purple').replace('Magenta', 'Purple'));
+
+function parseWindowsTerminal(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // settings.json allows // comments and trailing commas
+    data = JSON.parse(text.replace(/^\s*\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'));
+  }
+  const schemes = Array.isArray(data) ? data : Array.isArray(data.schemes) ? data.schemes : [data];
+  // Schemes with a missing or non-#rrggbb colour are skipped
+  const themes = schemes
+    .filter((s) => s && isHex(s.background) && isHex(s.foreground) && WT_KEYS.every((k) => isHex(s[k])))
+    .map((s) => {
+      const name = typeof s.name === 'string' && s.name ? s.name : 'Imported scheme';
+      return defineTheme(customId(name), name, {
+        background: hex(s.background),
+        foreground: hex(s.foreground),
+        cursor: isHex(s.cursorColor) ? hex(s.cursorColor) : undefined,
+        selection: hex(isHex(s.selectionBackground) ? s.selectionBackground : s.brightBlack),
+      }, WT_KEYS.map((k) => hex(s[k])));
+    });
+  if (!themes.length) throw new Error('No valid Windows Terminal color schemes found (colors must be #rrggbb)');
+  return themes;
+}
+
+/* ── base16 (YAML) ── */
+
+const BASE16_LINE_RE = /^\s*(scheme|name|base0[0-9A-F])\s*:\s*["']?([^"'\n]+?)["']?\s*(?:#.*)?$/gim;
+
+// The base16-shell mapping of base00…base0F onto the 16 ANSI colours
+const BASE16_ANSI = [
+  '00', '08', '0B', '0A', '0D', '0E', '0C', '05',
+  '03', '08', '0B', '0A', '0D', '0E', '0C', '07',
+];
+
+function parseBase16(text, fallbackName) {
+  const values = {};
+  for (const [, key, value] of text.matchAll(BASE16_LINE_RE)) {
+    const k = key.toLowerCase();
+    if (!(k in values)) values[k] = value.trim();
+  }
+  const base = (n) => values[`base${n.toLowerCase()}`];
+  const missing = BASE16_ANSI.concat(['02', '05']).filter((n) => !isHex(base(n)));
+  if (missing.length) throw new Error(`Not a base16 scheme (missing base${missing[0]})`);
+  const name = values.scheme || values.name || fallbackName;
+  return [defineTheme(customId(name), name, {
+    background: hex(base('00')),
+    foreground: hex(base('05')),
+    cursor: hex(base('05')),
+    selection: hex(base('02')),
+  }, BASE16_ANSI.map((n) => hex(base(n))))];
+}
+
+/**
+ * Parse a colour scheme file by its extension / content:
+ * iTerm2 `.itermcolors`, Windows Terminal JSON, or base16 YAML.
+ * → themes[] (a Windows Terminal settings.json may hold several). Throws on unrecognised input.
+ */
+function importThemes(fileName, text) {
+  const name = fileName.replace(/\.[^.]+$/, '') || 'Imported theme';
+  const ext = fileName.split('.').pop().toLowerCase();
+  if (ext === 'itermcolors' || text.trimStart().startsWith('<?xml')) return parseItermColors(text, name);
+  if (ext === 'json' || /^\s*[[{]/.test(text)) return parseWindowsTerminal(text);
+  if (ext === 'yaml' || ext === 'yml' || /base00\s*:/.test(text)) return parseBase16(text, name);
+  throw new Error('Unrecognized theme file (expected .itermcolors, Windows Terminal .json or base16 .yaml)');
+}
+
+export { importThemes, parseItermColors, parseWindowsTerminal, parseBase16 };
@@ -0,0 +1,228 @@
+const ANSI_NAMES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+
+/**
+ * Build a theme { id, name, appearance, terminal, chrome? } from its base colours and
+ * the 16 ANSI colours in order; `terminal` is an xterm ITheme. `chrome` pins app CSS
+ * variables that would otherwise be derived from the palette.
+ */
+function defineTheme(id, name, { background, foreground, cursor, selection }, ansi, chrome) {
+  const terminal = {
+    background,
+    foreground,
+    cursor: cursor || foreground,
+    cursorAccent: background,
+    selectionBackground: selection,
+  };
+  ANSI_NAMES.forEach((key, i) => { terminal[key] = ansi[i]; });
+  return {
+    id,
+    name,
+    appearance: luminance(background) > 0.5 ? 'light' : 'dark',
+    terminal,
+    ...(chrome ? { chrome } : {}),
+  };
+}
+
+/**
+ * Rebuild a theme from untrusted data (e.g. a shared workspace file) through defineTheme,
+ * or null when it lacks an id, a name, or valid base and ANSI colours.
+ */
+function normalizeTheme(data) {
+  const t = data?.terminal;
+  if (typeof data?.id !== 'string' || typeof data.name !== 'string' || !t || typeof t !== 'object') return null;
+  const ansi = ANSI_NAMES.map((key) => t[key]);
+  if (![t.background, t.foreground, ...ansi].every(isColor)) return null;
+  return defineTheme(data.id, data.name, {
+    background: t.background,
+    foreground: t.foreground,
+    cursor: isColor(t.cursor) ? t.cursor : undefined,
+    selection: isColor(t.selectionBackground) ? t.selectionBackground : ansi[8],
+  }, ansi);
+}
+
+/* ── Colour helpers ── */
+
+function parseHex(hex) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+}
+
+const isColor = (value) => typeof value === 'string' && parseHex(value) !== null;
+
+const toHex = (rgb) => `#${rgb.map((c) => Math.round(Math.min(Math.max(c, 0), 255)).toString(16).padStart(2, '0')).join('')}`;
+
+/** Relative luminance 0 (black) … 1 (white). */
+function luminance(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return 0;
+  const [r, g, b] = rgb.map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** `amount` (0…1) of the way from colour `a` to colour `b`. */
+function mix(a, b, amount) {
+  const ca = parseHex(a);
+  const cb = parseHex(b);
+  if (!ca || !cb) return a;
+  return toHex(ca.map((c, i) => c + (cb[i] - c) * amount));
+}
+
+function alpha(hex, opacity) {
+  const rgb = parseHex(hex);
+  return rgb ? `rgba(${rgb.join(', ')}, ${opacity})` : hex;
+}
+
+/* ── Built-in schemes ── */
+
+const BUILTIN_THEMES = [
+  defineTheme('github-dark', 'GitHub Dark', {
+    background: '#0d1117', foreground: '#c9d1d9', cursor: '#f0f6fc', selection: '#264f78',
+  }, [
+    '#484f58', '#ff7b72', '#7ee787', '#d29922', '#58a6ff', '#bc8cff', '#39d353', '#b1bac4',
+    '#6e7681', '#ffa198', '#56d364', '#e3b341', '#79c0ff', '#d2a8ff', '#56d364', '#f0f6fc',
+  ], {
+    // The original juni palette (index.css)
+    '--bg-secondary': '#161b22',
+    '--bg-tertiary': '#1c2128',
+    '--bg-card': 'rgba(22, 27, 34, 0.75)',
+    '--border': 'rgba(48, 54, 61, 0.6)',
+    '--text-primary': '#f0f6fc',
+    '--text-secondary': '#8b949e',
+    '--text-muted': '#484f58',
+    '--green': '#56d364',
+  }),
+  defineTheme('github-light', 'GitHub Light', {
+    background: '#ffffff', foreground: '#24292f', cursor: '#0969da', selection: '#b6e3ff',
+  }, [
+    '#24292f', '#cf222e', '#116329', '#4d2d00', '#0969da', '#8250df', '#1b7c83', '#6e7781',
+    '#57606a', '#a40e26', '#1a7f37', '#633c01', '#218bff', '#a475f9', '#3192aa', '#8c959f',
+  ]),
+  defineTheme('solarized-dark', 'Solarized Dark', {
+    background: '#002b36', foreground: '#839496', cursor: '#93a1a1', selection: '#073642',
+  }, [
+    '#073642', '#dc322f', '#859900', '#b58900', '#268bd2', '#d33682', '#2aa198', '#eee8d5',
+    '#002b36', '#cb4b16', '#586e75', '#657b83', '#839496', '#6c71c4', '#93a1a1', '#fdf6e3',
+  ]),
+  defineTheme('solarized-light', 'Solarized Light', {
+    background: '#fdf6e3', foreground: '#657b83', cursor: '#586e75', selection: '#eee8d5',
+  }, [
+    '#073642', '#dc322f', '#859900', '#b58900', '#268bd2', '#d33682', '#2aa198', '#eee8d5',
+    '#002b36', '#cb4b16', '#586e75', '#657b83', '#839496', '#6c71c4', '#93a1a1', '#fdf6e3',
+  ]),
+  defineTheme('dracula', 'Dracula', {
+    background: '#282a36', foreground: '#f8f8f2', cursor: '#f8f8f2', selection: '#44475a',
+  }, [
+    '#21222c', '#ff5555', '#50fa7b', '#f1fa8c', '#bd93f9', '#ff79c6', '#8be9fd', '#f8f8f2',
+    '#6272a4', '#ff6e6e', '#69ff94', '#ffffa5', '#d6acff', '#ff92df', '#a4ffff', '#ffffff',
+  ]),
+  defineTheme('one-dark', 'One Dark', {
+    background: '#282c34', foreground: '#abb2bf', cursor: '#528bff', selection: '#3e4451',
+  }, [
+    '#282c34', '#e06c75', '#98c379', '#e5c07b', '#61afef', '#c678dd', '#56b6c2', '#abb2bf',
+    '#5c6370', '#e06c75', '#98c379', '#e5c07b', '#61afef', '#c678dd', '#56b6c2', '#ffffff',
+  ]),
+  defineTheme('one-light', 'One Light', {
+    background: '#fafafa', foreground: '#383a42', cursor: '#526fff', selection: '#e5e5e6',
+  }, [
+    '#383a42', '#e45649', '#50a14f', '#c18401', '#4078f2', '#a626a4', '#0184bc', '#a0a1a7',
+    '#696c77', '#ca1243', '#50a14f', '#986801', '#4078f2', '#a626a4', '#0997b3', '#fafafa',
+  ]),
+  defineTheme('nord', 'Nord', {
+    background: '#2e3440', foreground: '#d8dee9', cursor: '#d8dee9', selection: '#434c5e',
+  }, [
+    '#3b4252', '#bf616a', '#a3be8c', '#ebcb8b', '#81a1c1', '#b48ead', '#88c0d0', '#e5e9f0',
+    '#4c566a', '#bf616a', '#a3be8c', '#ebcb8b', '#81a1c1', '#b48ead', '#8fbcbb', '#eceff4',
+  ]),
+  defineTheme('gruvbox-dark', 'Gruvbox Dark', {
+    background: '#282828', foreground: '#ebdbb2', cursor: '#ebdbb2', selection: '#504945',
+  }, [
+    '#282828', '#cc241d', '#98971a', '#d79921', '#458588', '#b16286', '#689d6a', '#a89984',
+    '#928374', '#fb4934', '#b8bb26', '#fabd2f', '#83a598', '#d3869b', '#8ec07c', '#ebdbb2',
+  ]),
+  defineTheme('monokai', 'Monokai', {
+    background: '#272822', foreground: '#f8f8f2', cursor: '#f8f8f0', selection: '#49483e',
+  }, [
+    '#272822', '#f92672', '#a6e22e', '#f4bf75', '#66d9ef', '#ae81ff', '#a1efe4', '#f8f8f2',
+    '#75715e', '#f92672', '#a6e22e', '#f4bf75', '#66d9ef', '#ae81ff', '#a1efe4', '#f9f8f5',
+  ]),
+];
+
+const DEFAULT_THEME_ID = 'github-dark';
+const DEFAULT_LIGHT_THEME_ID = 'one-light';
+
+/** The theme with `id` among the built-ins and `customThemes`, falling back to the default. */
+function findTheme(id, customThemes = []) {
+  return BUILTIN_THEMES.find((t) => t.id === id)
+    || customThemes.find((t) => t.id === id)
+    || BUILTIN_THEMES.find((t) => t.id === DEFAULT_THEME_ID);
+}
+
+/** xterm theme for `theme`, with `background` (the user's override) replacing the scheme's. */
+function xtermTheme(theme, background) {
+  const terminal = (theme || findTheme(DEFAULT_THEME_ID)).terminal;
+  return background ? { ...terminal, background } : terminal;
+}
+
+/**
+ * Derive the app chrome's CSS variables (index.css) from a terminal scheme so
+ * panels, the chat pane and dialogs sit on the same palette. `background` only
+ * overrides --terminal-bg.
+ */
+function chromeVariables(theme, background) {
+  const t = theme.terminal;
+  const bg = t.background;
+  const fg = t.foreground;
+  const light = theme.appearance === 'light';
+  return {
+    '--bg-primary': bg,
+    '--bg-secondary': mix(bg, fg, light ? 0.04 : 0.05),
+    '--bg-tertiary': mix(bg, fg, light ? 0.08 : 0.09),
+    '--bg-card': alpha(mix(bg, fg, 0.05), 0.75),
+    '--border': alpha(mix(bg, fg, 0.25), 0.6),
+    '--border-focus': t.blue,
+    '--text-primary': light ? mix(fg, '#000000', 0.2) : mix(fg, '#ffffff', 0.3),
+    '--text-secondary': mix(fg, bg, 0.3),
+    '--text-muted': mix(fg, bg, 0.55),
+    '--accent': t.blue,
+    '--accent-hover': t.brightBlue,
+    '--accent-glow': alpha(t.blue, 0.15),
+    '--green': t.green,
+    '--red': t.red,
+    '--yellow': t.yellow,
+    '--terminal-bg': background || bg,
+    ...theme.chrome,
+  };
+}
+
+/** Apply `theme` to the document: chrome variables, `data-appearance` and native control colours. */
+function applyChromeTheme(theme, background) {
+  const root = document.documentElement;
+  for (const [name, value] of Object.entries(chromeVariables(theme, background))) {
+    root.style.setProperty(name, value);
+  }
+  root.dataset.appearance = theme.appearance;
+  root.style.colorScheme = theme.appearance;
+}
+
+export {
+  ANSI_NAMES,
+  BUILTIN_THEMES,
+  DEFAULT_THEME_ID,
+  DEFAULT_LIGHT_THEME_ID,
+  defineTheme,
+  normalizeTheme,
+  findTheme,
+  xtermTheme,
+  chromeVariables,
+  applyChromeTheme,
+  luminance,
+  mix,
+};
@@ -0,0 +1,44 @@
+import { useState, useEffect, useMemo } from 'react';
+import { findTheme, applyChromeTheme, DEFAULT_LIGHT_THEME_ID } from './themes.js';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Resolve and apply the app theme from the theme settings
+ * { themeId, lightThemeId, followSystem, customThemes, bgColor }.
+ *
+ * With `followSystem`, `themeId` is used while the OS is in dark mode and
+ * `lightThemeId` in light mode. In Proton the OS setting arrives through Electron's
+ * nativeTheme (which drives prefers-color-scheme); otherwise nativeTheme is pinned to
+ * the chosen theme so menus, scrollbars and dialogs match it.
+ * Returns the active theme.
+ */
+function useAppTheme({ themeId, lightThemeId, followSystem, customThemes, bgColor }) {
+  const [systemDark, setSystemDark] = useState(() => window.matchMedia?.(DARK_QUERY).matches ?? true);
+
+  useEffect(() => {
+    const query = window.matchMedia?.(DARK_QUERY);
+    if (!query) return undefined;
+    const handleChange = (e) => setSystemDark(e.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const theme = useMemo(() => (
+    followSystem && !systemDark
+      ? findTheme(lightThemeId || DEFAULT_LIGHT_THEME_ID, customThemes)
+      : findTheme(themeId, customThemes)
+  ), [themeId, lightThemeId, followSystem, systemDark, customThemes]);
+
+  useEffect(() => {
+    applyChromeTheme(theme, bgColor);
+  }, [theme, bgColor]);
+
+  useEffect(() => {
+    window.proton?.setNativeTheme?.(followSystem ? 'system' : theme.appearance);
+  }, [followSystem, theme.appearance]);
+
+  return theme;
+}
+
+export { useAppTheme };
@@ -0,0 +1,152 @@
+import { normalizeTheme } from './themes.js';
+
+/**
+ * Workspaces: named snapshots of the open tabs, their connection profiles,
+ * the pane layout, theme and agent settings.
+ *
+ *   { name, savedAt, tabs: [{ id, type, connection? }], activeTab, layout, splitLayout, theme, agent }
+ *
+ * Connection profiles never carry secrets, so workspaces can be exported and shared.
+ * Shared files are untrusted: connection profiles keep only their target and display
+ * fields, themes are rebuilt and checked, and of the agent settings only the model
+ * travels — agent mode and auto-execute stay as the user set them.
+ */
+
+const WORKSPACE_FORMAT = 'juni-cli-workspaces';
+const WORKSPACE_VERSION = 1;
+const SECRET_FIELDS = ['password', 'privateKey', 'passphrase', 'secret'];
+
+// Profile fields a shared file may set, per connection type. Anything that runs commands,
+// forwards the ssh-agent, writes to the remote host or picks a local shell is left out.
+const SHARED_FIELDS = {
+  ssh: ['host', 'port', 'username', 'autoReconnect', 'keepaliveInterval', 'localEcho', 'promptPattern'],
+  local: ['local'],
+  docker: ['type', 'container', 'user'],
+  kubectl: ['type', 'pod', 'namespace', 'container', 'context'],
+  serial: ['type', 'path', 'baudRate', 'dataBits', 'parity', 'stopBits', 'flowControl'],
+  telnet: ['type', 'host', 'port'],
+  tcp: ['type', 'host', 'port'],
+};
+const TARGET_FIELD = { ssh: 'host', docker: 'container', kubectl: 'pod', serial: 'path', telnet: 'host', tcp: 'host' };
+const SCALAR_TYPES = new Set(['string', 'number', 'boolean']);
+
+/** A connection profile without passwords, keys or passphrases (including on jump hosts). */
+function stripSecrets(connection) {
+  if (!connection || typeof connection !== 'object') return connection;
+  const clean = { ...connection };
+  for (const field of SECRET_FIELDS) delete clean[field];
+  if (Array.isArray(clean.jumpHosts)) clean.jumpHosts = clean.jumpHosts.map(stripSecrets);
+  return clean;
+}
+
+/** A connection profile from a shared file, reduced to the fields allowed for its type, or null. */
+function sharedConnection(connection) {
+  const type = connection.type || (connection.local ? 'local' : 'ssh');
+  const fields = SHARED_FIELDS[type];
+  if (!fields) return null;
+  if (TARGET_FIELD[type] && typeof connection[TARGET_FIELD[type]] !== 'string') return null;
+  const clean = {};
+  for (const field of fields) {
+    if (SCALAR_TYPES.has(typeof connection[field])) clean[field] = connection[field];
+  }
+  if (type === 'ssh' && Array.isArray(connection.jumpHosts)) {
+    const hops = connection.jumpHosts
+      .filter((j) => j && typeof j.host === 'string' && typeof j.username === 'string')
+      .map(({ host, port, username }) => ({ host, port: Number(port) || 22, username }));
+    if (hops.length > 0) clean.jumpHosts = hops;
+  }
+  return clean;
+}
+
+/** Build a workspace from the app state; only terminal and Gemini tabs are kept. */
+function createWorkspace(name, { tabs, activeTab, layout, splitLayout, theme, agent }) {
+  const kept = tabs.filter((t) => t.type === 'ssh' || t.type === 'gemini');
+  return {
+    name,
+    savedAt: new Date().toISOString(),
+    tabs: kept.map(({ id, type, connection }) => (
+      type === 'ssh' ? { id, type, connection: stripSecrets(connection) } : { id, type }
+    )),
+    activeTab: kept.some((t) => t.id === activeTab) ? activeTab : null,
+    layout: layout || null,
+    splitLayout,
+    theme,
+    agent,
+  };
+}
+
+function normalizeThemeSettings(theme) {
+  if (!theme || typeof theme !== 'object') return undefined;
+  const text = (value) => (typeof value === 'string' && value ? value : undefined);
+  return {
+    themeId: text(theme.themeId),
+    lightThemeId: text(theme.lightThemeId),
+    followSystem: typeof theme.followSystem === 'boolean' ? theme.followSystem : undefined,
+    bgColor: typeof theme.bgColor === 'string' && /^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/i.test(theme.bgColor) ? theme.bgColor : '',
+    customThemes: Array.isArray(theme.customThemes) ? theme.customThemes.map(normalizeTheme).filter(Boolean) : [],
+  };
+}
+
+// Whether commands run on their own is never taken from a shared file
+const sharedAgent = (agent) => (typeof agent?.model === 'string' ? { model: agent.model } : undefined);
+
+/** A workspace from a shared file (or for one), or null when it is unusable. */
+function normalizeWorkspace(data) {
+  if (!data || typeof data !== 'object' || typeof data.name !== 'string' || !data.name.trim()) return null;
+  if (!Array.isArray(data.tabs)) return null;
+  const tabs = data.tabs
+    .filter((t) => t && (t.type === 'gemini' || (t.type === 'ssh' && t.connection && typeof t.connection === 'object')))
+    .map((t) => (t.type === 'ssh' ? { id: t.id, type: t.type, connection: sharedConnection(t.connection) } : { id: t.id, type: t.type }))
+    .filter((t) => t.type === 'gemini' || t.connection);
+  return {
+    name: data.name.trim(),
+    savedAt: typeof data.savedAt === 'string' ? data.savedAt : new Date().toISOString(),
+    tabs,
+    activeTab: data.activeTab ?? null,
+    layout: data.layout && typeof data.layout === 'object' ? data.layout : null,
+    splitLayout: data.splitLayout === 'vertical' ? 'vertical' : 'horizontal',
+    theme: normalizeThemeSettings(data.theme),
+    agent: sharedAgent(data.agent),
+  };
+}
+
+/** Workspaces as a shareable JSON file. */
+function serializeWorkspaces(workspaces) {
+  return JSON.stringify({
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    workspaces: workspaces.map((ws) => normalizeWorkspace(ws)).filter(Boolean),
+  }, null, 2);
+}
+
+/**
+ * Parse an exported workspace file (or a bare workspace / array of them).
+ * Profiles are cut down again in case the file was edited by hand. Throws when nothing usable is found.
+ */
+function parseWorkspaces(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a workspace file (invalid JSON)');
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.workspaces) ? data.workspaces : [data];
+  const workspaces = list.map(normalizeWorkspace).filter(Boolean);
+  if (!workspaces.length) throw new Error('No workspaces found in this file');
+  return workspaces;
+}
+
+/** Insert or replace workspaces by name, keeping the list sorted. */
+function mergeWorkspaces(existing, incoming) {
+  const names = new Set(incoming.map((ws) => ws.name));
+  return [...existing.filter((ws) => !names.has(ws.name)), ...incoming]
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export {
+  stripSecrets,
+  createWorkspace,
+  serializeWorkspaces,
+  parseWorkspaces,
+  mergeWorkspaces,
+};